@@ -4,61 +4,396 @@ import { chromium } from 'playwright';
 import { readFile } from 'node:fs/promises';
 import { extname } from 'node:path';
 
-let browserInstance = null;
-let page = null;
-let downloads = [];
-let cdpSession = null;
-let deviceNameFilters = [];
-let discoveredDevices = [];
-let machineNames = [];
-
-export async function launch(modsUrl, headless = false) {
-  browserInstance = await chromium.launch({ headless, channel: 'chrome' });
-  const context = await browserInstance.newContext({ acceptDownloads: true });
-  page = await context.newPage();
+export const DEFAULT_SESSION = 'default';
+
+// A worker that replied and then stays quiet this long counts as done even if it was not terminated
+const WORKER_IDLE_MS = 5000;
+
+// One Chromium instance, started by the first launch; each named session has its own context, page, downloads and device filters
+let browserPromise = null;
+const sessions = new Map();
+// Names of sessions still starting, so a second launch with the same name is refused before the first one awaits anything
+const launching = new Set();
+let downloadHandler = null;
+// Only the newest downloads of a session keep their bytes in memory; older ones are read back from the export history
+const DOWNLOAD_CONTENT_LIMIT = 5;
+let outputGuard = null;
+
+function requireSession(name = DEFAULT_SESSION) {
+  const session = sessions.get(name);
+  if (!session) throw new Error(name === DEFAULT_SESSION ? 'Browser not launched' : `Browser session "${name}" not launched`);
+  return session;
+}
 
-  // Intercept downloads
-  page.on('download', async (download) => {
-    const path = await download.path();
-    const content = path ? await readFile(path) : null;
-    downloads.push({
-      suggestedFilename: download.suggestedFilename(),
-      content,
-      timestamp: Date.now()
+// Runs in the page: track web-worker jobs and Mods module outputs so callers can tell when work has settled
+function installActivityMonitor() {
+  const activity = window.__mopsActivity = {
+    lastAt: Date.now(),
+    outputs: 0,
+    outputListeners: [],
+    workers: new Set(),
+    touch() { activity.lastAt = Date.now(); }
+  };
+
+  const NativeWorker = window.Worker;
+  if (NativeWorker) {
+    window.Worker = class extends NativeWorker {
+      constructor(...args) {
+        super(...args);
+        // Busy from a request until terminate() (Mods modules end their workers once the result is in), an error,
+        // or WORKER_IDLE_MS without a message after its last reply: a reply may be progress with the result still to come
+        this.__mopsAwaiting = false;
+        this.__mopsRepliedAt = 0;
+        activity.workers.add(this);
+        activity.touch();
+        this.addEventListener('message', () => { this.__mopsRepliedAt = Date.now(); activity.touch(); });
+        this.addEventListener('error', () => { this.__mopsAwaiting = false; activity.touch(); });
+        // Worker failures never reach the page's error handlers; report them where the console log picks them up
+        this.addEventListener('error', (e) => {
+          console.error(`Worker error: ${e.message || 'worker failed'}${e.filename ? ` (${e.filename}:${e.lineno})` : ''}`);
+        });
+      }
+      postMessage(...args) {
+        this.__mopsAwaiting = true;
+        this.__mopsRepliedAt = 0;
+        activity.touch();
+        return super.postMessage(...args);
+      }
+      terminate() {
+        activity.workers.delete(this);
+        activity.touch();
+        return super.terminate();
+      }
+    };
+  }
+
+  // mods.output is defined once mods.js has loaded; wrap it as soon as it appears. Look until the page has loaded and
+  // mods.js has run (mods_prog_load is defined), or until load in frames without Mods, and log it if it never shows up.
+  const hook = setInterval(() => {
+    if (!window.mods || typeof window.mods.output !== 'function') {
+      if (document.readyState !== 'complete') return;
+      if (typeof window.mods_prog_load === 'function') {
+        console.error('MOPS: mods.output not found; module outputs are not tracked and output to machines will be refused');
+      } else if (window === window.top) return;
+      clearInterval(hook);
+      return;
+    }
+    clearInterval(hook);
+    const output = window.mods.output;
+    window.mods.output = function (...args) {
+      activity.outputs++;
+      activity.touch();
+      // Listeners see a value before the modules it is linked to do
+      for (const listener of activity.outputListeners) listener(...args);
+      return output.apply(this, args);
+    };
+  }, 50);
+}
+
+// Runs in the page: every file a module outputs is registered as a job to check before it can be sent,
+// and every WebUSB transfer and WebSerial write goes through window.__mopsCheckOutput
+function installOutputGuard() {
+  const toBase64 = (data) => {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data)
+      : ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+  };
+  const isFile = (value) => value && typeof value === 'object' && typeof value.name === 'string'
+    && (typeof value.contents === 'string' || ArrayBuffer.isView(value.contents) || value.contents instanceof ArrayBuffer);
+  // Writes wait until every job output so far has been registered
+  let registered = Promise.resolve();
+  if (window.__mopsActivity) {
+    window.__mopsActivity.outputListeners.push((mod, port, value) => {
+      if (!isFile(value)) return;
+      const registration = window.__mopsRegisterOutput(value.name, toBase64(value.contents)).catch(() => {});
+      registered = Promise.all([registered, registration]);
     });
+  }
+  window.__mopsOutputsRegistered = () => registered;
+  const check = async (channel, data) => {
+    await registered;
+    const verdict = await window.__mopsCheckOutput(channel, toBase64(data));
+    if (!verdict.allowed) throw new DOMException(`MOPS blocked output to machine: ${verdict.reason}`, 'NotAllowedError');
+  };
+
+  if (window.USBDevice && USBDevice.prototype.transferOut) {
+    const transferOut = USBDevice.prototype.transferOut;
+    USBDevice.prototype.transferOut = async function (endpoint, data) {
+      await check('usb', data);
+      return transferOut.call(this, endpoint, data);
+    };
+  }
+
+  const writable = window.SerialPort && Object.getOwnPropertyDescriptor(SerialPort.prototype, 'writable');
+  if (writable && writable.get) {
+    const wrapped = new WeakMap();
+    Object.defineProperty(SerialPort.prototype, 'writable', {
+      configurable: true,
+      get() {
+        const stream = writable.get.call(this);
+        if (!stream) return stream;
+        if (!wrapped.has(stream)) {
+          const withWriter = async (fn) => {
+            const writer = stream.getWriter();
+            try { return await fn(writer); } finally { writer.releaseLock(); }
+          };
+          wrapped.set(stream, new WritableStream({
+            async write(chunk) {
+              await check('serial', typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+              await withWriter(w => w.write(chunk));
+            },
+            close: () => withWriter(w => w.close()),
+            abort: (reason) => stream.abort(reason)
+          }));
+        }
+        return wrapped.get(stream);
+      }
+    });
+  }
+}
+
+function recordDiscovered(session, devices, extra = {}) {
+  for (const d of devices) {
+    if (!session.discoveredDevices.some(dd => dd.name === d.name)) {
+      session.discoveredDevices.push({ name: d.name, discoveredAt: Date.now(), ...extra });
+    }
+  }
+}
+
+// Pick the device to auto-select from a picker prompt, or null to leave the choice to the user
+function matchDevice(session, devices) {
+  // 1. Try exact deviceName filters first
+  let match = devices.find(d =>
+    session.deviceNameFilters.some(filter => d.name.toLowerCase().includes(filter.toLowerCase()))
+  );
+
+  // 2. Fuzzy match against profile machine names (e.g., "Roland GX-24" matches "Roland DG GX-24")
+  if (!match && session.machineNames.length > 0) {
+    match = devices.find(d => {
+      const dLower = d.name.toLowerCase();
+      return session.machineNames.some(mName => {
+        const keywords = mName.toLowerCase().split(/[\s-]+/).filter(w => w.length > 2);
+        const matched = keywords.filter(kw => dLower.includes(kw));
+        return matched.length >= 2; // at least 2 keywords must match
+      });
+    });
+  }
+  return match || null;
+}
+
+// Runs in the page: replace navigator.usb / navigator.serial with a single fake machine that records what it is sent.
+// Requesting it goes through window.__mopsSelectSimulatedDevice, which records the prompt like a real picker's.
+function installSimulatedDevice(device) {
+  const toBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+  };
+  const asBytes = (data) => {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    return ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+  };
+  // Bytes pass the machine-limits guard exactly as they would on the way to real hardware
+  const send = async (channel, data) => {
+    const bytes = asBytes(data);
+    const base64 = toBase64(bytes);
+    if (window.__mopsOutputsRegistered) await window.__mopsOutputsRegistered();
+    const verdict = await window.__mopsCheckOutput(channel, base64);
+    if (!verdict.allowed) throw new DOMException(`MOPS blocked output to machine: ${verdict.reason}`, 'NotAllowedError');
+    await window.__mopsCaptureOutput(channel, base64);
+    return bytes.length;
+  };
+  const choose = () => window.__mopsSelectSimulatedDevice(device.name);
+  const events = { addEventListener() {}, removeEventListener() {}, dispatchEvent() { return true; }, onconnect: null, ondisconnect: null };
+  const empty = () => new DataView(new ArrayBuffer(0));
+  let granted = false;
+
+  if (device.type === 'usb') {
+    const endpoints = [
+      { endpointNumber: 1, direction: 'out', type: 'bulk', packetSize: 64 },
+      { endpointNumber: 2, direction: 'in', type: 'bulk', packetSize: 64 }
+    ];
+    const alternate = { alternateSetting: 0, interfaceClass: 255, interfaceSubclass: 0, interfaceProtocol: 0, interfaceName: null, endpoints };
+    const iface = { interfaceNumber: 0, claimed: false, alternate, alternates: [alternate] };
+    const configuration = { configurationValue: 1, configurationName: null, interfaces: [iface] };
+    const fake = {
+      vendorId: device.vendorId, productId: device.productId, productName: device.name, manufacturerName: '',
+      serialNumber: 'MOPS-SIMULATED', usbVersionMajor: 2, usbVersionMinor: 0, deviceClass: 0,
+      opened: false, configuration, configurations: [configuration],
+      async open() { this.opened = true; },
+      async close() { this.opened = false; },
+      async forget() { granted = false; },
+      async reset() {},
+      async selectConfiguration() {},
+      async claimInterface() { iface.claimed = true; },
+      async releaseInterface() { iface.claimed = false; },
+      async selectAlternateInterface() {},
+      async clearHalt() {},
+      async controlTransferOut(setup, data) { return { status: 'ok', bytesWritten: data ? data.byteLength : 0 }; },
+      async controlTransferIn() { return { status: 'ok', data: empty() }; },
+      async transferOut(endpoint, data) { return { status: 'ok', bytesWritten: await send('usb', data) }; },
+      async transferIn() { return { status: 'ok', data: empty() }; }
+    };
+    const usb = {
+      ...events,
+      async requestDevice() { await choose(); granted = true; return fake; },
+      async getDevices() { return granted ? [fake] : []; }
+    };
+    Object.defineProperty(navigator, 'usb', { value: usb, configurable: true });
+  } else {
+    const port = {
+      ...events,
+      readable: null, writable: null,
+      getInfo() { return { usbVendorId: device.vendorId, usbProductId: device.productId }; },
+      async open() {
+        this.readable = new ReadableStream({});
+        this.writable = new WritableStream({ write: (chunk) => send('serial', chunk) });
+      },
+      async close() { this.readable = null; this.writable = null; },
+      async forget() { granted = false; },
+      async setSignals() {},
+      async getSignals() { return { dataCarrierDetect: true, clearToSend: true, ringIndicator: false, dataSetReady: true }; }
+    };
+    const serial = {
+      ...events,
+      async requestPort() { await choose(); granted = true; return port; },
+      async getPorts() { return granted ? [port] : []; }
+    };
+    Object.defineProperty(navigator, 'serial', { value: serial, configurable: true });
+  }
+}
+
+const LOG_LIMIT = 500;
+const LOG_LEVELS = { info: 0, warning: 1, error: 2 };
+
+// Keep the newest LOG_LIMIT entries; seq keeps counting so callers can ask for entries after a cursor
+function recordLog(session, entry) {
+  session.logs.push({ seq: ++session.logSeq, time: new Date().toISOString(), ...entry });
+  if (session.logs.length > LOG_LIMIT) session.logs.splice(0, session.logs.length - LOG_LIMIT);
+}
+
+// Concurrent launches share one Chromium start; headless only applies to the launch that starts it
+function getBrowser(headless) {
+  browserPromise ??= chromium.launch({ headless, channel: 'chrome' }).catch((err) => {
+    browserPromise = null;
+    throw err;
   });
+  return browserPromise;
+}
 
-  // Set up CDP session for WebUSB/WebSerial device auto-selection
-  cdpSession = await page.context().newCDPSession(page);
-  await cdpSession.send('DeviceAccess.enable');
-  cdpSession.on('DeviceAccess.deviceRequestPrompted', async (event) => {
-    const { id, devices } = event;
-    console.error(`[mops] Device prompt: ${devices.map(d => d.name).join(', ')}`);
+// simulatedDevice: { name, type: 'usb' | 'serial', vendorId, productId } replaces real devices with a recording fake
+export async function launch(modsUrl, headless = false, name = DEFAULT_SESSION, options = {}) {
+  if (sessions.has(name) || launching.has(name)) throw new Error(`Browser session "${name}" is already running`);
+  launching.add(name);
+  try {
+    return await openSession(modsUrl, headless, name, options);
+  } finally {
+    launching.delete(name);
+  }
+}
+
+async function openSession(modsUrl, headless, name, { deviceFilters = [], machineNames = [], simulatedDevice = null }) {
+  const context = await (await getBrowser(headless)).newContext({ acceptDownloads: true });
+  const page = await context.newPage();
+  const session = {
+    name, context, page, downloads: [], pendingDownloads: 0, cdpSession: null,
+    deviceNameFilters: deviceFilters, machineNames, discoveredDevices: [], simulatedDevice, capture: null,
+    logs: [], logSeq: 0
+  };
+  sessions.set(name, session);
+
+  // Console messages, uncaught errors and failed requests
+  page.on('console', (msg) => {
+    const type = msg.type();
+    const { url, lineNumber } = msg.location();
+    recordLog(session, {
+      source: 'console',
+      level: type === 'error' || type === 'assert' ? 'error' : type === 'warning' ? 'warning' : 'info',
+      text: msg.text(),
+      location: url ? `${url}:${lineNumber}` : undefined
+    });
+  });
+  page.on('pageerror', (err) => {
+    recordLog(session, { source: 'page', level: 'error', text: err.message, stack: (err.stack || '').split('\n').slice(1, 5).map(l => l.trim()) });
+  });
+  page.on('requestfailed', (request) => {
+    const errorText = request.failure() ? request.failure().errorText : 'failed';
+    // Aborted requests are cancelled navigations and downloads, not failures
+    if (errorText === 'net::ERR_ABORTED') return;
+    recordLog(session, { source: 'network', level: 'error', text: `${request.method()} ${request.url()}: ${errorText}` });
+  });
+  page.on('response', (response) => {
+    if (response.status() < 400 || response.url().endsWith('/favicon.ico')) return;
+    recordLog(session, { source: 'network', level: 'error', text: `HTTP ${response.status()} ${response.request().method()} ${response.url()}` });
+  });
 
-    // Store discovered devices
-    for (const d of devices) {
-      if (!discoveredDevices.some(dd => dd.name === d.name)) {
-        discoveredDevices.push({ name: d.name, discoveredAt: Date.now() });
+  // Intercept downloads
+  page.on('download', async (download) => {
+    session.pendingDownloads++;
+    try {
+      const timestamp = Date.now();
+      const path = await download.path();
+      const content = path ? await readFile(path) : null;
+      const entry = { suggestedFilename: download.suggestedFilename(), content, size: content ? content.length : 0, timestamp };
+      session.downloads.push(entry);
+      // Persist through the server-provided handler; its result (id, saved path) is merged into the entry
+      if (downloadHandler) {
+        try {
+          Object.assign(entry, await downloadHandler(entry, name));
+        } catch (err) {
+          entry.saveError = err.message;
+          console.error(`[mops] Failed to save download ${entry.suggestedFilename}: ${err.message}`);
+        }
       }
+      for (const older of session.downloads.slice(0, -DOWNLOAD_CONTENT_LIMIT)) older.content = null;
+    } finally {
+      session.pendingDownloads--;
     }
+  });
+  await page.addInitScript(installActivityMonitor);
 
-    // 1. Try exact deviceName filters first
-    let match = devices.find(d =>
-      deviceNameFilters.some(filter => d.name.toLowerCase().includes(filter.toLowerCase()))
-    );
-
-    // 2. Fuzzy match against profile machine names (e.g., "Roland GX-24" matches "Roland DG GX-24")
-    if (!match && machineNames.length > 0) {
-      match = devices.find(d => {
-        const dLower = d.name.toLowerCase();
-        return machineNames.some(mName => {
-          const keywords = mName.toLowerCase().split(/[\s-]+/).filter(w => w.length > 2);
-          const matched = keywords.filter(kw => dLower.includes(kw));
-          return matched.length >= 2; // at least 2 keywords must match
-        });
-      });
+  // Check machine output against profile limits before it leaves the page
+  await page.exposeFunction('__mopsRegisterOutput', async (filename, base64) => {
+    if (outputGuard) outputGuard.register(filename, Buffer.from(base64, 'base64'), name);
+  });
+  await page.exposeFunction('__mopsCheckOutput', async (channel, base64) => {
+    if (!outputGuard) return { allowed: true };
+    try {
+      return await outputGuard.check(channel, Buffer.from(base64, 'base64'), name);
+    } catch (err) {
+      return { allowed: false, reason: `output check failed: ${err.message}` };
     }
+  });
+  await page.addInitScript(installOutputGuard);
+
+  if (simulatedDevice) {
+    session.capture = { device: simulatedDevice.name, type: simulatedDevice.type, chunks: [] };
+    await page.exposeFunction('__mopsSelectSimulatedDevice', (deviceName) => {
+      const devices = [{ name: deviceName }];
+      console.error(`[mops] Device prompt (${name}, simulated): ${deviceName}`);
+      recordDiscovered(session, devices, { simulated: true });
+      // There is no picker to leave open: the simulated device is the only one the session exposes, so it is selected either way
+      if (matchDevice(session, devices)) console.error(`[mops] Auto-selecting simulated device: ${deviceName}`);
+      else console.error(`[mops] Selecting simulated device "${deviceName}" (no profile machine matches it)`);
+    });
+    await page.exposeFunction('__mopsCaptureOutput', (channel, base64) => {
+      session.capture.chunks.push({ channel, bytes: Buffer.from(base64, 'base64'), timestamp: Date.now() });
+    });
+    await page.addInitScript(installSimulatedDevice, simulatedDevice);
+  }
 
+  // Set up CDP session for WebUSB/WebSerial device auto-selection
+  const cdpSession = session.cdpSession = await context.newCDPSession(page);
+  await cdpSession.send('DeviceAccess.enable');
+  cdpSession.on('DeviceAccess.deviceRequestPrompted', async (event) => {
+    const { id, devices } = event;
+    console.error(`[mops] Device prompt (${name}): ${devices.map(d => d.name).join(', ')}`);
+
+    recordDiscovered(session, devices);
+    const match = matchDevice(session, devices);
     if (match) {
       console.error(`[mops] Auto-selecting device: ${match.name}`);
       await cdpSession.send('DeviceAccess.selectPrompt', { id, deviceId: match.id });
@@ -68,25 +403,73 @@ export async function launch(modsUrl, headless = false) {
     }
   });
 
-  await page.goto(modsUrl, { waitUntil: 'load' });
-  await page.waitForFunction(() => typeof window.mods_prog_load === 'function', { timeout: 15000 });
-
+  try {
+    await page.goto(modsUrl, { waitUntil: 'load' });
+    await page.waitForFunction(() => typeof window.mods_prog_load === 'function', { timeout: 15000 });
+  } catch (err) {
+    await close(name);
+    throw err;
+  }
   return page;
 }
 
-export function setDeviceFilters(filters, names) {
-  deviceNameFilters = filters;
-  machineNames = names;
+export function setDeviceFilters(filters, names, name = DEFAULT_SESSION) {
+  const session = requireSession(name);
+  session.deviceNameFilters = filters;
+  session.machineNames = names;
+}
+
+// handler(entry, session) persists a download and returns fields to merge into it
+export function setDownloadHandler(handler) {
+  downloadHandler = handler;
 }
 
-export function getDiscoveredDevices() {
-  return discoveredDevices;
+// guard.register(filename, bytes, session) receives every file a module outputs;
+// guard.check(channel, bytes, session) → { allowed, reason } is consulted for every WebUSB/WebSerial write
+export function setOutputGuard(guard) {
+  outputGuard = guard;
 }
 
-export async function getGrantedDevices() {
-  if (!page) return [];
+export function getDiscoveredDevices(name = DEFAULT_SESSION) {
+  const session = sessions.get(name);
+  return session ? session.discoveredDevices : [];
+}
+
+// Bytes received by the session's simulated device, or null when the session uses real hardware
+export function getDeviceCapture(name = DEFAULT_SESSION) {
+  const session = requireSession(name);
+  return session.capture;
+}
+
+export function clearDeviceCapture(name = DEFAULT_SESSION) {
+  const session = requireSession(name);
+  if (session.capture) session.capture.chunks = [];
+}
+
+// Sequence number of the newest log entry, to collect only what an action logs
+export function getLogCursor(name = DEFAULT_SESSION) {
+  const session = sessions.get(name);
+  return session ? session.logSeq : 0;
+}
+
+// Entries after `since`, at or above `level` ('info', 'warning' or 'error'), newest `limit` only
+export function getLogs({ since = 0, level = 'info', limit } = {}, name = DEFAULT_SESSION) {
+  const session = sessions.get(name);
+  if (!session) return [];
+  const entries = session.logs.filter(e => e.seq > since && LOG_LEVELS[e.level] >= LOG_LEVELS[level]);
+  return limit ? entries.slice(-limit) : entries;
+}
+
+export function clearLogs(name = DEFAULT_SESSION) {
+  const session = requireSession(name);
+  session.logs = [];
+}
+
+export async function getGrantedDevices(name = DEFAULT_SESSION) {
+  const session = sessions.get(name);
+  if (!session) return [];
   try {
-    return await page.evaluate(async () => {
+    return await session.page.evaluate(async () => {
       const devices = [];
       if (navigator.usb && navigator.usb.getDevices) {
         const usbDevices = await navigator.usb.getDevices();
@@ -107,8 +490,8 @@ export async function getGrantedDevices() {
   }
 }
 
-export async function loadProgram(modsUrl, programPath, srcUrl) {
-  if (!page) throw new Error('Browser not launched');
+export async function loadProgram(modsUrl, programPath, srcUrl, session) {
+  const { page } = requireSession(session);
   const encodedPath = programPath.split('/').map(encodeURIComponent).join('/');
   let url = `${modsUrl}/?program=${encodedPath}`;
   if (srcUrl) url += `&src=${encodeURIComponent(srcUrl)}`;
@@ -121,8 +504,8 @@ export async function loadProgram(modsUrl, programPath, srcUrl) {
   await page.waitForTimeout(srcUrl ? 2000 : 500);
 }
 
-export async function postMessageFile(filePath) {
-  if (!page) throw new Error('Browser not launched');
+export async function postMessageFile(filePath, session) {
+  const { page } = requireSession(session);
   const ext = extname(filePath).toLowerCase();
   const fileData = await readFile(filePath);
 
@@ -150,8 +533,8 @@ export async function postMessageFile(filePath) {
   return { success: true, file: filePath, method: 'postMessage', acknowledged: ack };
 }
 
-export async function setModuleFile(moduleId, filePath) {
-  if (!page) throw new Error('Browser not launched');
+export async function setModuleFile(moduleId, filePath, session) {
+  const { page } = requireSession(session);
   const input = page.locator(`[id="${moduleId}"] input[type="file"]`);
   const count = await input.count();
   if (count === 0) {
@@ -162,8 +545,8 @@ export async function setModuleFile(moduleId, filePath) {
   return { success: true, file: filePath, method: 'fileInput' };
 }
 
-export async function getProgramState() {
-  if (!page) throw new Error('Browser not launched');
+export async function getProgramState(session) {
+  const { page } = requireSession(session);
   return page.evaluate(() => {
     const modulesContainer = document.getElementById('modules');
     if (!modulesContainer) return [];
@@ -204,11 +587,24 @@ export async function getProgramState() {
         let label = '';
         const prev = input.previousSibling;
         if (prev && prev.textContent) label = prev.textContent.trim();
-        if (input.type === 'checkbox') {
-          params.push({ label, value: input.checked ? 'true' : 'false', type: 'checkbox' });
-        } else {
-          params.push({ label, value: input.value, type: input.type });
+        const param = input.type === 'checkbox'
+          ? { label, value: input.checked ? 'true' : 'false', type: 'checkbox' }
+          : { label, value: input.value, type: input.type };
+        // Text before the last line break names inputs whose own label is just a unit ("tool diameter" / "mm:")
+        let node = prev;
+        while (node && node.nodeName !== 'BR') node = node.previousSibling;
+        const heading = node && node.previousSibling && node.previousSibling.nodeType === Node.TEXT_NODE
+          ? node.previousSibling.textContent.trim() : '';
+        if (heading && heading !== label) param.heading = heading;
+        // A unit written after the input ("0.1 (mm)"), unless that text labels the next input
+        const next = input.nextSibling;
+        if (next && next.nodeType === Node.TEXT_NODE && !(next.nextSibling && next.nextSibling.nodeName === 'INPUT')) {
+          const suffix = next.textContent.trim();
+          if (suffix) param.suffix = suffix;
         }
+        if (input.min !== '') param.min = input.min;
+        if (input.max !== '') param.max = input.max;
+        params.push(param);
       }
       const buttons = [];
       for (const btn of mod.querySelectorAll('button')) {
@@ -225,8 +621,8 @@ export async function getProgramState() {
   });
 }
 
-export async function setModuleInput(moduleId, paramName, value) {
-  if (!page) throw new Error('Browser not launched');
+export async function setModuleInput(moduleId, paramName, value, session) {
+  const { page } = requireSession(session);
   return page.evaluate(({ moduleId, paramName, value }) => {
     const mod = document.getElementById(moduleId);
     if (!mod) return { error: `Module ${moduleId} not found` };
@@ -249,13 +645,99 @@ export async function setModuleInput(moduleId, paramName, value) {
   }, { moduleId, paramName, value: String(value) });
 }
 
-export async function clickModuleButton(moduleId, buttonText) {
-  if (!page) throw new Error('Browser not launched');
+// Apply several input changes in one evaluation: every target is resolved before anything is touched,
+// and if any value fails to apply, the inputs already changed are put back to their previous values
+export async function setModuleInputs(changes, session) {
+  const { page } = requireSession(session);
+  return page.evaluate((changes) => {
+    const read = (input) => input.type === 'checkbox' ? (input.checked ? 'true' : 'false') : input.value;
+    // dispatchEvent swallows exceptions thrown by the module's change handler and reports them to window 'error';
+    // catch them there so a module that fails on the new value counts as a failed change
+    const write = (input, value) => {
+      let failure = null;
+      const onError = (event) => { failure = failure || event.error || new Error(event.message); };
+      window.addEventListener('error', onError);
+      try {
+        if (input.type === 'checkbox') input.checked = (value === 'true' || value === '1' || value === 'on');
+        else input.value = value;
+        input.dispatchEvent(new Event('change'));
+      } finally {
+        window.removeEventListener('error', onError);
+      }
+      if (failure) throw new Error(`module failed on the new value: ${failure.message || failure}`);
+    };
+
+    const targets = [];
+    const errors = [];
+    changes.forEach((change, index) => {
+      const mod = document.getElementById(change.moduleId);
+      if (!mod) { errors.push({ index, error: `Module ${change.moduleId} not found` }); return; }
+      const labelOf = (i) => i.previousSibling ? i.previousSibling.textContent.trim() : '';
+      const input = [...mod.querySelectorAll('input')].find(i => labelOf(i).includes(change.paramName));
+      if (!input) { errors.push({ index, error: `Parameter "${change.paramName}" not found in module ${change.moduleId}` }); return; }
+      targets.push({ index, input, label: labelOf(input), value: change.value });
+    });
+    if (errors.length > 0) return { success: false, errors, rolledBack: false };
+
+    const applied = [];
+    for (const target of targets) {
+      const before = read(target.input);
+      try {
+        write(target.input, target.value);
+        const after = read(target.input);
+        if (target.input.type !== 'checkbox' && after !== target.value) {
+          throw new Error(`input did not accept "${target.value}" (now "${after}")`);
+        }
+        applied.push({ ...target, before, after });
+      } catch (err) {
+        applied.push({ ...target, before });
+        for (const done of applied.reverse()) {
+          try { write(done.input, done.before); } catch { /* the previous value is back in the input either way */ }
+        }
+        return { success: false, errors: [{ index: target.index, error: `"${target.label}": ${err.message}` }], rolledBack: true };
+      }
+    }
+    return { success: true, changes: applied.map(({ index, label, before, after }) => ({ index, label, before, after })) };
+  }, changes.map(c => ({ ...c, value: String(c.value) })));
+}
+
+// Restore input values captured by getProgramState, by position within each module
+export async function restoreModuleInputs(modules, session) {
+  const { page } = requireSession(session);
+  return page.evaluate((modules) => {
+    const applied = [];
+    const missing = [];
+    for (const entry of modules) {
+      const mod = document.getElementById(entry.id);
+      if (!mod) { missing.push(entry.name || entry.id); continue; }
+      const inputs = mod.querySelectorAll('input');
+      entry.params.forEach((param, i) => {
+        const input = inputs[i];
+        if (!input || input.type === 'file') return;
+        if (input.type === 'checkbox') {
+          const checked = param.value === 'true';
+          if (input.checked === checked) return;
+          input.checked = checked;
+        } else {
+          if (input.value === param.value) return;
+          input.value = param.value;
+        }
+        input.dispatchEvent(new Event('change'));
+        applied.push({ module: entry.name, label: param.label, value: param.value });
+      });
+    }
+    return { applied, missing };
+  }, modules);
+}
+
+export async function clickModuleButton(moduleId, buttonText, session) {
+  const { page } = requireSession(session);
   return page.evaluate(({ moduleId, buttonText }) => {
     const mod = document.getElementById(moduleId);
     if (!mod) return { error: `Module ${moduleId} not found` };
     for (const btn of mod.querySelectorAll('button')) {
       if (btn.textContent.trim().toLowerCase().includes(buttonText.toLowerCase())) {
+        if (window.__mopsActivity) window.__mopsActivity.touch();
         btn.click();
         return { success: true, clicked: btn.textContent.trim() };
       }
@@ -265,8 +747,55 @@ export async function clickModuleButton(moduleId, buttonText) {
   }, { moduleId, buttonText });
 }
 
-export async function injectProgram(programJson) {
-  if (!page) throw new Error('Browser not launched');
+export async function getActivity(session) {
+  const { page, pendingDownloads } = requireSession(session);
+  const activity = await page.evaluate((idleMs) => {
+    const a = window.__mopsActivity;
+    if (!a) return { busyWorkers: 0, quietForMs: Infinity, outputs: 0 };
+    let busy = 0;
+    for (const w of a.workers) if (w.__mopsAwaiting && (!w.__mopsRepliedAt || Date.now() - w.__mopsRepliedAt < idleMs)) busy++;
+    return { busyWorkers: busy, quietForMs: Date.now() - a.lastAt, outputs: a.outputs };
+  }, WORKER_IDLE_MS);
+  return { ...activity, pendingDownloads };
+}
+
+// Poll until workers are idle, downloads are saved and module outputs have been quiet for quietMs.
+// Returns status 'finished', or 'running' if timeoutMs passes first.
+export async function waitForCompletion({ timeoutMs = 30000, quietMs = 1000, requireDownload = false, downloadsBefore } = {}, session) {
+  const { page, downloads } = requireSession(session);
+  if (downloadsBefore === undefined) downloadsBefore = downloads.length;
+  const started = Date.now();
+  for (;;) {
+    const activity = await getActivity(session);
+    const newDownloads = downloads.length - downloadsBefore;
+    const idle = activity.busyWorkers === 0 && activity.pendingDownloads === 0 && activity.quietForMs >= quietMs;
+    const elapsedMs = Date.now() - started;
+    if (idle && (!requireDownload || newDownloads > 0)) {
+      return { status: 'finished', elapsedMs, newDownloads };
+    }
+    if (elapsedMs >= timeoutMs) {
+      const waitingFor = [];
+      if (activity.busyWorkers > 0) waitingFor.push(`${activity.busyWorkers} busy worker(s)`);
+      if (activity.pendingDownloads > 0) waitingFor.push('download in progress');
+      if (activity.quietForMs < quietMs) waitingFor.push('module outputs still firing');
+      if (requireDownload && newDownloads === 0) waitingFor.push('download');
+      return { status: 'running', elapsedMs, newDownloads, waitingFor };
+    }
+    await page.waitForTimeout(200);
+  }
+}
+
+export async function captureScreenshot(moduleId, fullPage = true, session) {
+  const { page } = requireSession(session);
+  if (!moduleId) return page.screenshot({ fullPage, type: 'png' });
+  const mod = page.locator(`[id="${moduleId}"]`);
+  if (await mod.count() === 0) throw new Error(`Module ${moduleId} not found`);
+  await mod.scrollIntoViewIfNeeded();
+  return mod.screenshot({ type: 'png' });
+}
+
+export async function injectProgram(programJson, session) {
+  const { page } = requireSession(session);
   await page.evaluate((json) => {
     window.mods_prog_load(JSON.parse(json));
   }, JSON.stringify(programJson));
@@ -277,8 +806,8 @@ export async function injectProgram(programJson) {
   await page.waitForTimeout(500);
 }
 
-export async function extractProgramState() {
-  if (!page) throw new Error('Browser not launched');
+export async function extractProgramState(session) {
+  const { page } = requireSession(session);
   return page.evaluate(() => {
     if (typeof window.mods_build_v2_program === 'function') {
       return window.mods_build_v2_program();
@@ -311,26 +840,46 @@ export async function extractProgramState() {
   });
 }
 
-export function getLatestDownload() {
+export function getLatestDownload(session = DEFAULT_SESSION) {
+  const downloads = getDownloads(session);
   return downloads.length > 0 ? downloads[downloads.length - 1] : null;
 }
 
-export function clearDownloads() {
-  downloads = [];
+export function getDownloads(session = DEFAULT_SESSION) {
+  const found = sessions.get(session);
+  return found ? found.downloads : [];
 }
 
-export function getPage() {
-  return page;
+export function getPage(session = DEFAULT_SESSION) {
+  const found = sessions.get(session);
+  return found ? found.page : null;
 }
 
-export function isLaunched() {
-  return browserInstance !== null && page !== null;
+export function isLaunched(session = DEFAULT_SESSION) {
+  return sessions.has(session);
 }
 
-export async function close() {
-  if (browserInstance) {
-    await browserInstance.close();
-    browserInstance = null;
-    page = null;
+export function listSessions() {
+  return [...sessions.values()].map(s => ({
+    name: s.name, url: s.page.url(), downloads: s.downloads.length, deviceFilters: s.deviceNameFilters,
+    simulatedDevice: s.simulatedDevice ? s.simulatedDevice.name : null
+  }));
+}
+
+// Close one session, or every session and the browser when no name is given
+export async function close(session) {
+  if (session !== undefined) {
+    const found = sessions.get(session);
+    if (!found) return false;
+    sessions.delete(session);
+    await found.context.close().catch(() => {});
+    if (sessions.size > 0 || launching.size > 0 || !browserPromise) return true;
+  }
+  sessions.clear();
+  if (browserPromise) {
+    const instance = await browserPromise.catch(() => null);
+    browserPromise = null;
+    if (instance) await instance.close();
   }
+  return true;
 }
@@ -0,0 +1,47 @@
+// cache.js — On-disk cache of manifests and parsed module info in ~/.mops/cache, one directory per Mods host
+
+import { readFile, writeFile, mkdir, rm } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+
+export const CACHE_DIR = join(homedir(), '.mops', 'cache');
+export const DEFAULT_TTL_HOURS = 24;
+
+function sourceDir(source) {
+  const slug = source.replace(/^\w+:\/\//, '').replace(/[^\w.-]+/g, '_').slice(0, 40);
+  return join(CACHE_DIR, `${slug}-${createHash('sha1').update(source).digest('hex').slice(0, 8)}`);
+}
+
+// Keys may be paths ("module-info/modules/read/svg.js"); they are hashed into flat filenames per kind
+function cacheFile(source, key) {
+  const [kind, ...rest] = key.split('/');
+  if (rest.length === 0) return join(sourceDir(source), `${kind}.json`);
+  return join(sourceDir(source), kind, `${createHash('sha1').update(rest.join('/')).digest('hex')}.json`);
+}
+
+// { data, etag, fetchedAt } or null
+export async function readCache(source, key) {
+  try {
+    return JSON.parse(await readFile(cacheFile(source, key), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+export async function writeCache(source, key, { data, etag = null, fetchedAt = Date.now() }) {
+  const file = cacheFile(source, key);
+  await mkdir(join(file, '..'), { recursive: true });
+  const entry = { key, data, etag, fetchedAt };
+  await writeFile(file, JSON.stringify(entry));
+  return entry;
+}
+
+export function isFresh(entry, ttlMs) {
+  return !!entry && Date.now() - entry.fetchedAt < ttlMs;
+}
+
+// Drop one kind of entry (e.g., "module-info") or everything cached for the host
+export async function clearCache(source, kind) {
+  await rm(kind ? join(sourceDir(source), kind) : sourceDir(source), { recursive: true, force: true });
+}
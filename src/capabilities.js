@@ -0,0 +1,264 @@
+// capabilities.js — Machine capabilities (processes, materials, work area, input formats) and task matching for find_machine
+
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+
+// Capabilities live on a profile machine as:
+//   capabilities: { processes: ['vinyl'], materials: ['vinyl', 'paper'], workArea: { x, y, z }, formats: ['svg', 'png'] }
+// Lengths are mm. Machines without them get capabilities inferred from their type and name.
+export const PROCESSES = {
+  vinyl: {
+    taskWords: ['vinyl', 'sticker', 'decal', 'plotter', 'stencil'],
+    machineWords: ['vinyl', 'plotter', 'camm', 'gx', 'gs', 'cricut', 'silhouette'],
+    materials: ['vinyl', 'paper', 'cardstock', 'flex', 'htv', 'copper tape'],
+    formats: ['svg', 'png']
+  },
+  laser: {
+    taskWords: ['laser', 'engrave', 'etch'],
+    machineWords: ['laser', 'epilog', 'trotec', 'gcc', 'universal'],
+    materials: ['acrylic', 'wood', 'plywood', 'mdf', 'cardboard', 'paper', 'leather', 'fabric', 'felt'],
+    formats: ['svg', 'png']
+  },
+  mill: {
+    taskWords: ['mill', 'milling', 'pcb', 'trace', 'board'],
+    machineWords: ['mill', 'milling', 'srm', 'mdx', 'othermill', 'bantam', 'cnc'],
+    materials: ['fr1', 'copper', 'wax', 'aluminum', 'brass', 'hdpe'],
+    formats: ['svg', 'png', 'stl']
+  },
+  router: {
+    taskWords: ['route', 'router', 'shopbot', 'furniture'],
+    machineWords: ['router', 'shopbot', 'route'],
+    materials: ['plywood', 'wood', 'mdf', 'osb', 'foam', 'hdpe'],
+    formats: ['svg', 'png', 'stl', 'dxf']
+  },
+  print: {
+    taskWords: ['print', 'printing', '3d', 'printer'],
+    machineWords: ['print', 'printer', 'prusa', 'ultimaker', 'creality', 'bambu', '3d'],
+    materials: ['pla', 'petg', 'abs', 'tpu', 'nylon'],
+    formats: ['stl']
+  }
+};
+
+// "cut" alone could be any cutting machine
+const AMBIGUOUS_WORDS = { cut: ['vinyl', 'laser', 'router', 'mill'], cutting: ['vinyl', 'laser', 'router', 'mill'] };
+
+const MM_PER_UNIT = { mm: 1, cm: 10, m: 1000, in: 25.4, inch: 25.4, inches: 25.4, '"': 25.4, pt: 25.4 / 72, px: 25.4 / 96, pc: 25.4 / 6 };
+const SIZE_UNIT = '(mm|cm|m|inches|inch|in|")';
+const PAIR_SIZE = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*${SIZE_UNIT}?\\s*(?:x|×|by)\\s*(\\d+(?:\\.\\d+)?)\\s*${SIZE_UNIT}(?![a-z])`, 'i');
+const SINGLE_SIZE = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*${SIZE_UNIT}(?![a-z])(\\s+(?:thick|[a-z]+))?`, 'gi');
+
+function words(text) {
+  return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).map(w => (w.length > 3 ? w.replace(/s$/, '') : w));
+}
+
+function allMaterials() {
+  return [...new Set(Object.values(PROCESSES).flatMap(p => p.materials))];
+}
+
+function formatSize(size) {
+  return size.z !== undefined ? `${round(size.x)} × ${round(size.y)} × ${round(size.z)} mm` : `${round(size.x)} × ${round(size.y)} mm`;
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// What the task asks for: processes, materials and the size of the part, e.g. "cut a 30 cm sticker"
+export function parseTask(task) {
+  const taskWords = words(task);
+  const processes = Object.entries(PROCESSES).filter(([, p]) => p.taskWords.some(w => taskWords.includes(w))).map(([name]) => name);
+  const ambiguous = processes.length === 0 ? [...new Set(taskWords.flatMap(w => AMBIGUOUS_WORDS[w] || []))] : [];
+  const text = ` ${(task || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+  const materials = allMaterials().filter(m => text.includes(` ${m} `) || text.includes(` ${m}s `));
+
+  let size = null;
+  const pair = PAIR_SIZE.exec(task || '');
+  if (pair) {
+    const unit = MM_PER_UNIT[(pair[4] || pair[2]).toLowerCase()];
+    size = { x: parseFloat(pair[1]) * unit, y: parseFloat(pair[3]) * unit, source: 'task' };
+  } else {
+    // A single length is the part size, unless it names a thickness ("3 mm acrylic", "6 mm thick")
+    for (const match of (task || '').matchAll(SINGLE_SIZE)) {
+      const next = (match[3] || '').trim().toLowerCase();
+      if (next === 'thick' || materials.some(m => next === m || next === `${m}s`)) continue;
+      const length = parseFloat(match[1]) * MM_PER_UNIT[match[2].toLowerCase()];
+      size = { x: length, y: length, source: 'task', assumedSquare: true };
+      break;
+    }
+  }
+  return { processes, possibleProcesses: ambiguous, materials, size };
+}
+
+// Capabilities declared in the profile, else guessed from type, name and notes
+export function machineCapabilities(machine) {
+  const limits = machine.limits || {};
+  if (machine.capabilities) {
+    const c = machine.capabilities;
+    return {
+      source: 'profile',
+      processes: (c.processes || []).map(p => p.toLowerCase()),
+      materials: (c.materials || []).map(m => m.toLowerCase()),
+      formats: (c.formats || []).map(f => f.toLowerCase().replace(/^\./, '')),
+      workArea: c.workArea || limits.workArea || null
+    };
+  }
+  const text = words(`${machine.type} ${machine.name} ${machine.notes || ''}`);
+  // Laser cutters are "cutters" too, so the more specific processes are tried first
+  const process = ['laser', 'print', 'vinyl', 'router', 'mill'].find(name => PROCESSES[name].machineWords.some(w => text.includes(w)));
+  return {
+    source: 'inferred',
+    processes: process ? [process] : [],
+    materials: process ? PROCESSES[process].materials : [],
+    formats: process ? PROCESSES[process].formats : [],
+    workArea: limits.workArea || null
+  };
+}
+
+// Does a part fit the work area, turned if needed? null when either size is unknown
+export function fitsWorkArea(size, workArea) {
+  if (!size || !workArea || workArea.x === undefined || workArea.y === undefined) return null;
+  const part = [size.x, size.y].sort((a, b) => a - b);
+  const area = [workArea.x, workArea.y].sort((a, b) => a - b);
+  if (part[0] > area[0] || part[1] > area[1]) return false;
+  return size.z === undefined || workArea.z === undefined || size.z <= workArea.z;
+}
+
+// Score one machine for a parsed task. Hard mismatches reject it; every decision is explained.
+export function matchMachine(machine, request) {
+  const caps = machineCapabilities(machine);
+  const reasons = [];
+  const rejections = [];
+  let score = 0;
+  const declared = caps.source === 'profile';
+  const from = declared ? '' : ' (inferred from type)';
+
+  if (request.processes.length > 0) {
+    const matched = request.processes.filter(p => caps.processes.includes(p));
+    if (matched.length > 0) {
+      score += 5;
+      reasons.push(`does ${matched.join(', ')}${from}`);
+    } else if (caps.processes.length > 0) {
+      rejections.push(`does ${caps.processes.join(', ')}, not ${request.processes.join(' or ')}${from}`);
+    } else {
+      reasons.push('processes unknown; declare capabilities in the profile');
+    }
+  } else if (request.possibleProcesses.length > 0) {
+    const matched = request.possibleProcesses.filter(p => caps.processes.includes(p));
+    if (matched.length > 0) {
+      score += 2;
+      reasons.push(`can cut (${matched.join(', ')})${from}`);
+    } else if (caps.processes.length > 0) {
+      rejections.push(`does ${caps.processes.join(', ')}, not cutting${from}`);
+    }
+  }
+
+  for (const material of request.materials) {
+    if (caps.materials.includes(material)) {
+      score += 3;
+      reasons.push(`handles ${material}`);
+    } else if (declared && caps.materials.length > 0) {
+      rejections.push(`${material} is not among its materials (${caps.materials.join(', ')})`);
+    }
+  }
+
+  if (request.format) {
+    if (caps.formats.includes(request.format)) {
+      score += 2;
+      reasons.push(`accepts ${request.format.toUpperCase()}`);
+    } else if (declared && caps.formats.length > 0) {
+      rejections.push(`does not take ${request.format.toUpperCase()} files (accepts ${caps.formats.join(', ').toUpperCase()})`);
+    } else if (caps.formats.length > 0) {
+      score -= 2;
+      reasons.push(`${request.format.toUpperCase()} is unusual for this machine${from}`);
+    }
+  }
+
+  if (request.size) {
+    const fits = fitsWorkArea(request.size, caps.workArea);
+    const part = `${formatSize(request.size)}${request.size.assumedSquare ? ' (assumed square)' : ''}`;
+    if (fits === true) {
+      score += 2;
+      reasons.push(`${part} fits the ${formatSize(caps.workArea)} work area`);
+    } else if (fits === false) {
+      rejections.push(`${part} does not fit the ${formatSize(caps.workArea)} work area`);
+    } else {
+      reasons.push('work area unknown; add capabilities.workArea or limits.workArea to check the size');
+    }
+  }
+
+  // Naming the machine in the task ("on the GX-24") still counts
+  const taskWords = words(request.task);
+  const nameWords = words(machine.name).filter(w => w.length > 1);
+  if (nameWords.some(w => taskWords.includes(w))) {
+    score += 3;
+    reasons.push('named in the task');
+  }
+
+  return { score, rejected: rejections.length > 0, reasons, rejections, capabilities: caps };
+}
+
+// Design size in mm from an SVG (width/height with units), PNG (pixels and pHYs resolution) or STL (bounding box)
+export async function readDesignSize(file) {
+  const format = extname(file).slice(1).toLowerCase();
+  const data = await readFile(file);
+  if (format === 'svg') return svgSize(data.toString('utf-8'));
+  if (format === 'png') return pngSize(data);
+  if (format === 'stl') return stlSize(data);
+  return null;
+}
+
+function svgLength(value) {
+  const match = /^\s*([\d.]+)\s*([a-z%]*)\s*$/i.exec(value || '');
+  if (!match || match[2] === '%') return null;
+  return parseFloat(match[1]) * MM_PER_UNIT[(match[2] || 'px').toLowerCase()] || null;
+}
+
+function svgSize(text) {
+  const root = /<svg\b[^>]*>/i.exec(text);
+  if (!root) return null;
+  const attr = name => (new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(root[0]) || [])[1];
+  let x = svgLength(attr('width')), y = svgLength(attr('height'));
+  if (x === null || y === null) {
+    const viewBox = (attr('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length !== 4 || viewBox.some(Number.isNaN)) return null;
+    x = viewBox[2] * MM_PER_UNIT.px;
+    y = viewBox[3] * MM_PER_UNIT.px;
+  }
+  return { x, y, source: 'file' };
+}
+
+// PNG size needs the pHYs chunk; without it the pixel count says nothing about millimetres
+function pngSize(data) {
+  if (data.length < 24 || data.readUInt32BE(12) !== 0x49484452) return null;
+  const width = data.readUInt32BE(16), height = data.readUInt32BE(20);
+  for (let offset = 8; offset + 8 <= data.length;) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    if (type === 'pHYs' && data[offset + 16] === 1) {
+      const perMmX = data.readUInt32BE(offset + 8) / 1000, perMmY = data.readUInt32BE(offset + 12) / 1000;
+      return { x: width / perMmX, y: height / perMmY, source: 'file' };
+    }
+    if (type === 'IDAT' || type === 'IEND') break;
+    offset += length + 12;
+  }
+  return null;
+}
+
+// Binary STL when the triangle count matches the file length, ASCII otherwise; units assumed mm
+function stlSize(data) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  const add = (x, y, z) => [x, y, z].forEach((v, i) => { min[i] = Math.min(min[i], v); max[i] = Math.max(max[i], v); });
+  const count = data.length >= 84 ? data.readUInt32LE(80) : -1;
+  if (count >= 0 && 84 + count * 50 === data.length) {
+    for (let t = 0; t < count; t++) {
+      for (let v = 0; v < 3; v++) {
+        const at = 84 + t * 50 + 12 + v * 12;
+        add(data.readFloatLE(at), data.readFloatLE(at + 4), data.readFloatLE(at + 8));
+      }
+    }
+  } else {
+    for (const match of data.toString('latin1').matchAll(/vertex\s+(\S+)\s+(\S+)\s+(\S+)/g)) add(+match[1], +match[2], +match[3]);
+  }
+  if (min[0] === Infinity) return null;
+  return { x: max[0] - min[0], y: max[1] - min[1], z: max[2] - min[2], source: 'file' };
+}
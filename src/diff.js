@@ -0,0 +1,127 @@
+// diff.js — Compare two Mods programs: modules, links and parameter values
+
+import { scanModuleInputs } from './params.js';
+
+function moduleName(entry, source) {
+  const match = (source || '').match(/var\s+name\s*=\s*['"]([^'"]+)['"]/);
+  if (match) return match[1];
+  const path = entry.module || entry.filename || '';
+  return path ? path.split('/').pop().replace(/\.js$/, '') : 'unknown';
+}
+
+function addParam(params, key, value) {
+  let unique = key, n = 2;
+  while (unique in params) unique = `${key} #${n++}`;
+  params[unique] = value;
+}
+
+// Parameters keyed by the mod.<key> the module source binds each input to, so values read from
+// the page (by label) line up with values stored in program files (by key); labels are the fallback
+function paramsFromSnapshot(snapshot, source) {
+  const scanned = source ? scanModuleInputs(source) : [];
+  const aligned = scanned.length === snapshot.length;
+  const params = {};
+  const labels = {};
+  snapshot.forEach((p, i) => {
+    const label = [p.heading, p.label].filter(Boolean).join(' ');
+    const key = (aligned && scanned[i].key) || label || `input ${i + 1}`;
+    addParam(params, key, p.value);
+    labels[key] = label;
+  });
+  return { params, labels };
+}
+
+function paramsFromProgram(entry) {
+  if (entry.params && typeof entry.params === 'object' && Object.keys(entry.params).length > 0) {
+    return { params: Object.fromEntries(Object.entries(entry.params).map(([k, v]) => [k, String(v)])), labels: {} };
+  }
+  // v1 programs embed the module source; its init values are what the program starts with
+  const params = {};
+  for (const input of scanModuleInputs(entry.definition || '')) {
+    if (input.key && input.default !== undefined) params[input.key] = input.default;
+  }
+  return { params, labels: {} };
+}
+
+// Reduce { program, parameters? } to modules with params and links between module ids.
+// sourceFor(path) returns a module's source (or null) for programs that only reference module paths.
+export async function normalizeProgram({ program, parameters }, sourceFor) {
+  const snapshots = new Map((parameters || []).map(m => [m.id, m.params]));
+  const modules = [];
+  for (const [id, entry] of Object.entries(program.modules || {})) {
+    const path = entry.module || entry.filename || null;
+    const source = entry.definition || (path ? await sourceFor(path) : null);
+    const { params, labels } = snapshots.has(id) ? paramsFromSnapshot(snapshots.get(id), source) : paramsFromProgram(entry);
+    modules.push({ id, path, name: moduleName(entry, source), params, labels });
+  }
+  const links = [];
+  for (const link of program.links || []) {
+    try {
+      const data = typeof link === 'string' ? JSON.parse(link) : link;
+      const source = typeof data.source === 'string' ? JSON.parse(data.source) : data.source;
+      const dest = typeof data.dest === 'string' ? JSON.parse(data.dest) : data.dest;
+      links.push({ from: source.id, fromPort: source.name, to: dest.id, toPort: dest.name });
+    } catch { /* skip malformed link */ }
+  }
+  return { modules, links };
+}
+
+// v1 programs store module paths without the .js extension
+function samePath(a, b) {
+  return !!a && !!b && a.replace(/\.js$/, '') === b.replace(/\.js$/, '');
+}
+
+// Pair modules by id first (a tuned copy keeps the ids of the program it came from), then by path/name in order
+function matchModules(a, b) {
+  const pairs = new Map();
+  const free = new Set(b.modules.map(m => m.id));
+  for (const m of a.modules) {
+    if (free.has(m.id)) { pairs.set(m.id, m.id); free.delete(m.id); }
+  }
+  for (const m of a.modules) {
+    if (pairs.has(m.id)) continue;
+    const match = b.modules.find(o => free.has(o.id) && ((m.path && samePath(o.path, m.path)) || o.name === m.name));
+    if (match) { pairs.set(m.id, match.id); free.delete(match.id); }
+  }
+  return pairs;
+}
+
+export function diffPrograms(a, b) {
+  const pairs = matchModules(a, b);
+  const toA = new Map([...pairs].map(([ia, ib]) => [ib, ia]));
+  const byIdA = new Map(a.modules.map(m => [m.id, m]));
+  const byIdB = new Map(b.modules.map(m => [m.id, m]));
+  const describe = m => ({ id: m.id, name: m.name, path: m.path });
+
+  const removed = a.modules.filter(m => !pairs.has(m.id)).map(describe);
+  const added = b.modules.filter(m => !toA.has(m.id)).map(describe);
+
+  // Links compare by the A-side identity of each matched module
+  const linkKey = (l, translate) => `${translate(l.from)}.${l.fromPort}>${translate(l.to)}.${l.toPort}`;
+  const linkText = (l, byId) => `${(byId.get(l.from) || { name: l.from }).name}.${l.fromPort} → ${(byId.get(l.to) || { name: l.to }).name}.${l.toPort}`;
+  const keysA = new Set(a.links.map(l => linkKey(l, id => id)));
+  const keysB = new Set(b.links.map(l => linkKey(l, id => toA.get(id) || `b:${id}`)));
+  const linksRemoved = a.links.filter(l => !keysB.has(linkKey(l, id => id))).map(l => linkText(l, byIdA));
+  const linksAdded = b.links.filter(l => !keysA.has(linkKey(l, id => toA.get(id) || `b:${id}`))).map(l => linkText(l, byIdB));
+
+  const parameters = [];
+  for (const [ia, ib] of pairs) {
+    const ma = byIdA.get(ia), mb = byIdB.get(ib);
+    for (const key of new Set([...Object.keys(ma.params), ...Object.keys(mb.params)])) {
+      const va = ma.params[key], vb = mb.params[key];
+      if (va === undefined || vb === undefined || va === vb) continue;
+      if (Number.isFinite(+va) && Number.isFinite(+vb) && va.trim() !== '' && vb.trim() !== '' && +va === +vb) continue;
+      const entry = { module: ma.name, moduleId: ia, parameter: key, a: va, b: vb };
+      const label = ma.labels[key] || mb.labels[key];
+      if (label && label !== key) entry.label = label;
+      parameters.push(entry);
+    }
+  }
+
+  return {
+    identical: removed.length + added.length + linksRemoved.length + linksAdded.length + parameters.length === 0,
+    modules: { added, removed, matched: pairs.size },
+    links: { added: linksAdded, removed: linksRemoved },
+    parameters
+  };
+}
@@ -0,0 +1,154 @@
+// exports.js — On-disk history of files exported (downloaded) from Mods
+
+import { readFile, writeFile, mkdir, unlink, stat } from 'node:fs/promises';
+import { join, extname, basename } from 'node:path';
+import { homedir } from 'node:os';
+
+const MOPS_DIR = join(homedir(), '.mops');
+const HISTORY_PATH = join(MOPS_DIR, 'exports.json');
+
+export const DEFAULT_EXPORT_DIR = join(MOPS_DIR, 'exports');
+export const DEFAULT_FILENAME_TEMPLATE = '{timestamp}_{program}_{filename}';
+
+function sanitize(value) {
+  return String(value || '')
+    .replace(/[/\\:*?"<>|\x00-\x1f]/g, '_')
+    .trim()
+    .slice(0, 100);
+}
+
+function fileTimestamp(ms) {
+  return new Date(ms).toISOString().replace(/\.\d+Z$/, '').replace(/:/g, '-');
+}
+
+// Expand {machine}, {program}, {input}, {timestamp}, {date}, {filename}, {name} and {ext} in a template
+export function renderFilename(template, vars) {
+  const ext = extname(vars.filename || '');
+  const values = {
+    machine: sanitize(vars.machine),
+    program: sanitize(vars.program ? basename(vars.program) : ''),
+    input: sanitize(vars.inputFile ? basename(vars.inputFile, extname(vars.inputFile)) : ''),
+    timestamp: fileTimestamp(vars.timestamp),
+    date: fileTimestamp(vars.timestamp).slice(0, 10),
+    filename: sanitize(vars.filename),
+    name: sanitize(basename(vars.filename || '', ext)),
+    ext
+  };
+  let name = template.replace(/\{(\w+)\}/g, (m, key) => (key in values ? values[key] : m));
+  // Collapse separators left behind by empty variables
+  name = name.replace(/([ _-])[ _-]+/g, '$1').replace(/^[ _-]+|[ _-]+(?=\.|$)/g, '');
+  if (ext && !name.toLowerCase().endsWith(ext.toLowerCase())) name += ext;
+  return name || `export${ext}`;
+}
+
+// Treat content with NUL bytes or invalid UTF-8 as binary
+export function isBinary(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return true;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample);
+    return false;
+  } catch {
+    // A multi-byte sequence cut at the sample boundary is not evidence of binary data
+    return sample.length === buffer.length;
+  }
+}
+
+async function loadHistory() {
+  try {
+    return JSON.parse(await readFile(HISTORY_PATH, 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+// Read-modify-write of exports.json runs one update at a time, so downloads finishing together keep every record
+let historyQueue = Promise.resolve();
+
+function updateHistory(fn) {
+  const run = historyQueue.then(fn, fn);
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+async function saveHistory(history) {
+  await mkdir(MOPS_DIR, { recursive: true });
+  await writeFile(HISTORY_PATH, JSON.stringify(history, null, 2));
+}
+
+async function uniquePath(directory, filename) {
+  const ext = extname(filename);
+  const stem = basename(filename, ext);
+  let candidate = join(directory, filename);
+  for (let n = 1; await stat(candidate).then(() => true, () => false); n++) {
+    candidate = join(directory, `${stem}-${n}${ext}`);
+  }
+  return candidate;
+}
+
+export async function saveExport(download, { directory, template, machine, program, inputFile, session } = {}) {
+  const dir = directory || DEFAULT_EXPORT_DIR;
+  await mkdir(dir, { recursive: true });
+  const timestamp = download.timestamp || Date.now();
+  const filename = renderFilename(template || DEFAULT_FILENAME_TEMPLATE, {
+    filename: download.suggestedFilename, machine, program, inputFile, timestamp
+  });
+  const content = download.content || Buffer.alloc(0);
+  return updateHistory(async () => {
+    const path = await uniquePath(dir, filename);
+    await writeFile(path, content);
+
+    const record = {
+      id: `${timestamp.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      filename: basename(path),
+      suggestedFilename: download.suggestedFilename,
+      path,
+      size: content.length,
+      binary: isBinary(content),
+      machine: machine || null,
+      program: program || null,
+      inputFile: inputFile || null,
+      session: session || null,
+      timestamp
+    };
+    const history = await loadHistory();
+    history.push(record);
+    await saveHistory(history);
+    return record;
+  });
+}
+
+export async function listExports(limit) {
+  const history = await loadHistory();
+  const records = limit ? history.slice(-limit) : history;
+  return Promise.all(records.slice().reverse().map(async r => ({
+    ...r,
+    exists: await stat(r.path).then(() => true, () => false)
+  })));
+}
+
+// Look up by id or filename; no id returns the most recent export
+export async function findExport(id) {
+  const history = await loadHistory();
+  if (!id) return history[history.length - 1] || null;
+  return history.find(r => r.id === id || r.filename === id) || null;
+}
+
+export async function readExport(id) {
+  const record = await findExport(id);
+  if (!record) return null;
+  const content = await readFile(record.path);
+  return { record, content };
+}
+
+export function deleteExport(id, keepFile = false) {
+  return updateHistory(async () => {
+    const history = await loadHistory();
+    const index = history.findIndex(r => r.id === id || r.filename === id);
+    if (index < 0) return null;
+    const [record] = history.splice(index, 1);
+    if (!keepFile) await unlink(record.path).catch(() => {});
+    await saveHistory(history);
+    return record;
+  });
+}
@@ -0,0 +1,94 @@
+// http.js — Streamable HTTP transport with bearer-token auth, one MCP server per client session
+
+import { createServer } from 'node:http';
+import { randomUUID, createHash, timingSafeEqual } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const MCP_PATH = '/mcp';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Compare digests so the check takes the same time whatever token was sent
+function tokenMatches(header, token) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+  if (!match) return false;
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1]), digest(token));
+}
+
+function sendError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw httpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+  } catch {
+    throw httpError(400, 'Parse error: request body is not valid JSON');
+  }
+}
+
+function isInitialization(body) {
+  return Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+}
+
+// createMcpServer() is called once per client; each gets its own transport and MCP session
+export async function startHttpServer({ port, host = '127.0.0.1', token, createMcpServer }) {
+  const clients = new Map();
+
+  const server = createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== MCP_PATH) return sendError(res, 404, `Not found. The MCP endpoint is ${MCP_PATH}`);
+      if (!tokenMatches(req.headers.authorization, token)) {
+        return sendError(res, 401, 'Unauthorized: missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer realm="mops"' });
+      }
+
+      const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+      const sessionId = req.headers['mcp-session-id'];
+      let transport = sessionId ? clients.get(sessionId) : null;
+      if (!transport) {
+        if (sessionId) return sendError(res, 404, `Session ${sessionId} not found`);
+        if (req.method !== 'POST' || !isInitialization(body)) return sendError(res, 400, 'Bad request: initialize first, then send the Mcp-Session-Id header');
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => { clients.set(id, transport); }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) clients.delete(transport.sessionId);
+        };
+        await createMcpServer().connect(transport);
+      }
+      await transport.handleRequest(req, res, body);
+    } catch (err) {
+      if (!res.headersSent) sendError(res, err.status || 500, err.message);
+      else res.end();
+    }
+  });
+
+  await new Promise((resolveListen, rejectListen) => {
+    server.once('error', rejectListen);
+    server.listen(port, host, resolveListen);
+  });
+  const { port: boundPort } = server.address();
+  return {
+    url: `http://${host}:${boundPort}${MCP_PATH}`,
+    clientCount: () => clients.size,
+    close: async () => {
+      for (const transport of [...clients.values()]) await transport.close().catch(() => {});
+      await new Promise(r => server.close(() => r()));
+    }
+  };
+}
@@ -0,0 +1,54 @@
+// jobs.js — Job log in ~/.mops/jobs: what was produced, from which program, parameters and input
+
+import { readFile, writeFile, readdir, mkdir } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { join, extname, basename } from 'node:path';
+import { homedir } from 'node:os';
+
+export const JOBS_DIR = join(homedir(), '.mops', 'jobs');
+
+export function newJobId(timestamp = Date.now()) {
+  return `${timestamp.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export async function hashFile(filePath) {
+  return createHash('sha256').update(await readFile(filePath)).digest('hex');
+}
+
+export async function saveJob(job) {
+  await mkdir(JOBS_DIR, { recursive: true });
+  const file = join(JOBS_DIR, `${job.id}.json`);
+  await writeFile(file, JSON.stringify(job, null, 2));
+  return file;
+}
+
+export async function loadJob(id) {
+  if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid job ID "${id}"`);
+  try {
+    return JSON.parse(await readFile(join(JOBS_DIR, `${id}.json`), 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Newest first, without the bulky program and parameter snapshots
+export async function listJobs(limit) {
+  let files;
+  try {
+    files = await readdir(JOBS_DIR);
+  } catch {
+    return [];
+  }
+  const jobs = [];
+  for (const file of files.filter(f => extname(f) === '.json')) {
+    try {
+      const { programSnapshot, parameters, ...summary } = JSON.parse(await readFile(join(JOBS_DIR, file), 'utf-8'));
+      jobs.push({ ...summary, parameterCount: (parameters || []).reduce((n, m) => n + m.params.length, 0) });
+    } catch (err) {
+      jobs.push({ id: basename(file, '.json'), error: err.message });
+    }
+  }
+  jobs.sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+  return limit ? jobs.slice(0, limit) : jobs;
+}
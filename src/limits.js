@@ -0,0 +1,117 @@
+// limits.js — Machine envelope and safety limits (work area, depth, feed, spindle, tools)
+
+import { parseToolpath, detectFormat } from './toolpath.js';
+
+const MM_PER_INCH = 25.4;
+const EPSILON = 1e-6;
+const TOOL_TOLERANCE = 0.01; // mm
+
+// Limits live on a profile machine as:
+//   limits: { workArea: { x, y, z }, maxCutDepth, feedRange: { min, max }, spindleRange: { min, max },
+//             toolDiameters: [..], enforce: 'reject' | 'warn' }
+// Lengths are mm, feeds mm/s, spindle RPM. Everything is optional.
+
+export function enforcement(limits) {
+  return limits && limits.enforce === 'warn' ? 'warn' : 'reject';
+}
+
+// Guess which limit a Mods parameter label refers to, and the factor converting its value to mm (or mm/s)
+export function classifyParameter(label) {
+  const l = (label || '').toLowerCase();
+  let factor = /\(in\)|\binch|\bin\//.test(l) ? MM_PER_INCH : 1;
+  if (/\/\s*min/.test(l)) factor /= 60;
+  if (/spindle|rpm/.test(l)) return { kind: 'spindle', factor: 1 };
+  if (/diameter/.test(l)) return { kind: 'toolDiameter', factor };
+  if (/depth/.test(l)) return { kind: 'depth', factor };
+  if (/speed|feed/.test(l)) return { kind: 'feed', factor };
+  return null;
+}
+
+function outOfRange(value, range, what, unit) {
+  if (!range) return null;
+  if (range.min !== undefined && value < range.min - EPSILON) return `${what} ${value} ${unit} is below the minimum ${range.min} ${unit}`;
+  if (range.max !== undefined && value > range.max + EPSILON) return `${what} ${value} ${unit} is above the maximum ${range.max} ${unit}`;
+  return null;
+}
+
+// Check a value about to be set on a module parameter; returns null when no limit applies
+export function checkParameter(limits, label, value) {
+  if (!limits) return null;
+  const kind = classifyParameter(label);
+  const number = parseFloat(value);
+  if (!kind || !Number.isFinite(number)) return null;
+  const v = +(number * kind.factor).toFixed(6);
+  const violations = [];
+
+  if (kind.kind === 'depth' && limits.maxCutDepth !== undefined && Math.abs(v) > limits.maxCutDepth + EPSILON) {
+    violations.push(`"${label}" ${Math.abs(v)} mm exceeds the maximum cut depth ${limits.maxCutDepth} mm`);
+  }
+  if (kind.kind === 'toolDiameter' && Array.isArray(limits.toolDiameters) && limits.toolDiameters.length > 0) {
+    if (!limits.toolDiameters.some(d => Math.abs(d - v) <= TOOL_TOLERANCE)) {
+      violations.push(`"${label}" ${v} mm is not an allowed tool diameter (${limits.toolDiameters.join(', ')} mm)`);
+    }
+  }
+  if (kind.kind === 'feed') {
+    const problem = outOfRange(v, limits.feedRange, `"${label}"`, 'mm/s');
+    if (problem) violations.push(problem);
+  }
+  if (kind.kind === 'spindle') {
+    const problem = outOfRange(v, limits.spindleRange, `"${label}"`, 'RPM');
+    if (problem) violations.push(problem);
+  }
+  return { kind: kind.kind, value: v, violations };
+}
+
+// Check toolpath moves (mm) against the envelope; reports the first offending move per kind of violation
+export function checkMoves(limits, moves, seen = new Set()) {
+  const violations = [];
+  if (!limits) return violations;
+  const area = limits.workArea || {};
+  const report = (key, message) => {
+    if (seen.has(key)) return;
+    seen.add(key);
+    violations.push(message);
+  };
+  for (const m of moves) {
+    const p = m.to;
+    const at = `at (${+p.x.toFixed(3)}, ${+p.y.toFixed(3)}, ${+p.z.toFixed(3)})`;
+    if (p.x < -EPSILON || p.y < -EPSILON) report('negative', `Move ${at} leaves the work area (negative X/Y)`);
+    if (area.x !== undefined && p.x > area.x + EPSILON) report('x', `Move ${at} exceeds work area X ${area.x} mm`);
+    if (area.y !== undefined && p.y > area.y + EPSILON) report('y', `Move ${at} exceeds work area Y ${area.y} mm`);
+    if (area.z !== undefined && p.z > area.z + EPSILON) report('z', `Move ${at} exceeds work area Z ${area.z} mm`);
+    if (limits.maxCutDepth !== undefined && p.z < -limits.maxCutDepth - EPSILON) {
+      report('depth', `Move ${at} cuts ${+(-p.z).toFixed(3)} mm deep, beyond the maximum cut depth ${limits.maxCutDepth} mm`);
+    }
+    if (m.cut && m.feed && limits.feedRange) {
+      const problem = outOfRange(+m.feed.toFixed(3), limits.feedRange, 'Feed rate', 'mm/s');
+      if (problem) report('feed', `${problem} (move ${at})`);
+    }
+  }
+  return violations;
+}
+
+// Guess the output format a machine produces from its name, type and program
+export function formatForMachine(machine) {
+  const text = `${machine.name} ${machine.type || ''} ${machine.program || ''}`.toLowerCase();
+  if (/srm|mdx|monofab|modela/.test(text)) return 'rml';
+  if (/gx-|camm|vinyl|plotter/.test(text)) return 'hpgl';
+  if (/epilog/.test(text)) return 'epilog';
+  if (/shopbot/.test(text)) return 'shopbot';
+  if (/prusa|printer|gcode|g-code|grbl/.test(text)) return 'gcode';
+  return null;
+}
+
+// Check a complete job before any of it is sent to a machine. A job whose format cannot be identified is refused,
+// since nothing about it can be checked; out-of-envelope moves are refused, or only reported with enforce "warn".
+export function checkJob(limits, text, { format, filename } = {}) {
+  const detected = format || detectFormat(text, filename);
+  if (!detected) return { allowed: false, format: null, violations: ['Output format could not be identified, so it cannot be checked against the machine limits'] };
+  let moves;
+  try {
+    ({ moves } = parseToolpath(text, { format: detected, filename }));
+  } catch (err) {
+    return { allowed: false, format: detected, violations: [`Output could not be parsed as ${detected}: ${err.message}`] };
+  }
+  const violations = checkMoves(limits, moves);
+  return { allowed: violations.length === 0 || enforcement(limits) === 'warn', format: detected, violations };
+}
@@ -0,0 +1,124 @@
+// local.js — Static HTTP server and disk access for a local Mods CE checkout
+
+import { createServer } from 'node:http';
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { join, resolve, relative, isAbsolute, extname, basename, dirname, sep } from 'node:path';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.wasm': 'application/wasm',
+  '.stl': 'model/stl',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// Resolve a decoded relative path inside the checkout, refusing anything that escapes it
+function resolveInside(rootDir, relPath) {
+  const full = resolve(rootDir, '.' + sep + relPath);
+  const rel = relative(rootDir, full);
+  if (rel.startsWith('..') || isAbsolute(rel)) throw new Error(`Path escapes Mods directory: ${relPath}`);
+  return full;
+}
+
+async function walk(dir, filter) {
+  const files = [];
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await walk(full, filter));
+    else if (entry.isFile() && filter(entry.name)) files.push(full);
+  }
+  return files;
+}
+
+// Build a manifest in the same shape as the deployed {modules,programs}/index.json
+export async function buildIndex(rootDir, type) {
+  const base = join(rootDir, type);
+  const filter = type === 'modules'
+    ? name => name.endsWith('.js')
+    : name => name !== 'index.json';
+  const files = await walk(base, filter);
+  return files.sort().map(file => {
+    const rel = relative(rootDir, file).split(sep).join('/');
+    const category = relative(base, dirname(file)).split(sep).join('/');
+    return {
+      category: category || 'uncategorized',
+      name: basename(file, type === 'modules' ? '.js' : extname(file)),
+      path: rel.split('/').map(encodeURIComponent).join('/')
+    };
+  });
+}
+
+// Read a manifest from disk, generating it from the directory tree if the checkout has none
+export async function readLocalManifest(rootDir, type) {
+  try {
+    const data = await readFile(join(rootDir, type, 'index.json'), 'utf-8');
+    return JSON.parse(data);
+  } catch {
+    return buildIndex(rootDir, type);
+  }
+}
+
+// relPath is already decoded, like the manifest paths it comes from
+export async function readLocalText(rootDir, relPath) {
+  return readFile(resolveInside(rootDir, relPath), 'utf-8');
+}
+
+export async function startStaticServer(rootDir, port = 0) {
+  const root = resolve(rootDir);
+  const info = await stat(root).catch(() => null);
+  if (!info || !info.isDirectory()) throw new Error(`Mods directory not found: ${root}`);
+
+  const server = createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      // Request paths are percent-encoded; decode once here (a malformed escape is a 400)
+      let relPath = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+      if (relPath === '' || relPath.endsWith('/')) relPath += 'index.html';
+
+      const indexMatch = relPath.match(/^(modules|programs)\/index\.json$/);
+      if (indexMatch) {
+        const manifest = await readLocalManifest(root, indexMatch[1]);
+        res.writeHead(200, { 'Content-Type': MIME_TYPES['.json'] });
+        res.end(JSON.stringify(manifest));
+        return;
+      }
+
+      let full = resolveInside(root, relPath);
+      const fileInfo = await stat(full).catch(() => null);
+      if (fileInfo && fileInfo.isDirectory()) full = join(full, 'index.html');
+      const data = await readFile(full);
+      res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(full).toLowerCase()] || 'application/octet-stream' });
+      res.end(data);
+    } catch (err) {
+      const notFound = err.code === 'ENOENT' || err.code === 'EISDIR';
+      res.writeHead(notFound ? 404 : 400, { 'Content-Type': MIME_TYPES['.txt'] });
+      res.end(notFound ? 'Not found' : err.message);
+    }
+  });
+
+  await new Promise((resolveListen, rejectListen) => {
+    server.once('error', rejectListen);
+    server.listen(port, '127.0.0.1', resolveListen);
+  });
+  const { port: boundPort } = server.address();
+  return {
+    url: `http://127.0.0.1:${boundPort}`,
+    close: () => new Promise(r => server.close(() => r()))
+  };
+}
@@ -0,0 +1,40 @@
+// materials.js — Material presets in the profile: parameter values for a material on a machine and program
+
+// A preset lives in profile.materials as:
+//   { name, machine, program, description, settings: [{ module_name, parameter, value }] }
+// machine and program are optional; name + machine identifies a preset, so "FR1" can exist once per mill.
+
+function sameText(a, b) {
+  return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+// Replace the preset with the same name and machine, or add it; returns true when one was replaced
+export function upsertMaterial(materials, material) {
+  const existing = materials.findIndex(m => sameText(m.name, material.name) && sameText(m.machine, material.machine));
+  if (existing >= 0) materials[existing] = material;
+  else materials.push(material);
+  return existing >= 0;
+}
+
+export function removeMaterial(materials, name, machine) {
+  return materials.filter(m => !(sameText(m.name, name) && (!machine || sameText(m.machine, machine))));
+}
+
+// Pick the preset to apply: exact name before substring, then the one made for the loaded program or machine.
+// Several equally good candidates are an error so the caller names the machine.
+export function selectMaterial(materials, name, { machine, program } = {}) {
+  const wanted = name.toLowerCase();
+  let candidates = materials.filter(m => m.name.toLowerCase() === wanted);
+  if (candidates.length === 0) candidates = materials.filter(m => m.name.toLowerCase().includes(wanted));
+  if (machine) candidates = candidates.filter(m => !m.machine || sameText(m.machine, machine));
+  if (candidates.length === 0) {
+    const known = materials.map(m => (m.machine ? `${m.name} (${m.machine})` : m.name));
+    return { error: `No material preset "${name}"${machine ? ` for ${machine}` : ''}.${known.length > 0 ? ` Known presets: ${known.join(', ')}.` : ' Add one with update_profile (action "add_material").'}` };
+  }
+  if (candidates.length === 1) return { material: candidates[0] };
+
+  const score = m => (program && m.program === program ? 2 : 0) + (machine && m.machine ? 1 : 0);
+  const ranked = candidates.map(m => ({ m, score: score(m) })).sort((a, b) => b.score - a.score);
+  if (ranked[0].score > ranked[1].score) return { material: ranked[0].m };
+  return { error: `"${name}" matches several presets: ${candidates.map(m => `${m.name} (${m.machine || 'any machine'})`).join(', ')}. Pass machine to choose one.` };
+}
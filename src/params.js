@@ -0,0 +1,143 @@
+// params.js — Typed module parameters: units, defaults and unit-aware values
+
+// Each unit converts to the base unit of its dimension (mm, mm/s, %, RPM, degrees, DPI)
+const UNITS = {
+  mm: { dimension: 'length', factor: 1 },
+  cm: { dimension: 'length', factor: 10 },
+  in: { dimension: 'length', factor: 25.4 },
+  'mm/s': { dimension: 'speed', factor: 1 },
+  'mm/min': { dimension: 'speed', factor: 1 / 60 },
+  'in/s': { dimension: 'speed', factor: 25.4 },
+  'in/min': { dimension: 'speed', factor: 25.4 / 60 },
+  '%': { dimension: 'ratio', factor: 1 },
+  rpm: { dimension: 'rotation', factor: 1 },
+  deg: { dimension: 'angle', factor: 1 },
+  dpi: { dimension: 'resolution', factor: 1 }
+};
+
+const UNIT_ALIASES = {
+  mm: 'mm', millimeter: 'mm', millimeters: 'mm', cm: 'cm',
+  in: 'in', inch: 'in', inches: 'in', '"': 'in',
+  'mm/s': 'mm/s', 'mm/sec': 'mm/s', 'mm/min': 'mm/min',
+  'in/s': 'in/s', 'in/sec': 'in/s', ips: 'in/s', 'in/min': 'in/min', ipm: 'in/min',
+  '%': '%', percent: '%', rpm: 'rpm', deg: 'deg', degrees: 'deg', '°': 'deg', dpi: 'dpi'
+};
+
+// Most specific first, so "mm/s" is not read as "mm"
+const LABEL_UNITS = [
+  [/\bmm\s*\/\s*s(ec)?\b/, 'mm/s'], [/\bmm\s*\/\s*min\b/, 'mm/min'],
+  [/\bin(ch(es)?)?\s*\/\s*s(ec)?\b|\bips\b/, 'in/s'], [/\bin(ch(es)?)?\s*\/\s*min\b|\bipm\b/, 'in/min'],
+  [/\brpm\b/, 'rpm'], [/\bdpi\b/, 'dpi'], [/%|\bpercent\b/, '%'], [/\bdeg(rees)?\b|°/, 'deg'],
+  [/\bmm\b|\bmillimet/, 'mm'], [/\bcm\b/, 'cm'],
+  [/^in\b|\(in\)|\bin:|\binch(es)?\b/, 'in']
+];
+
+// Infer a parameter's unit from its label, falling back to the text right after the input
+export function inferUnit(label, suffix) {
+  for (const text of [label, suffix]) {
+    const l = (text || '').toLowerCase().trim();
+    if (!l) continue;
+    for (const [pattern, unit] of LABEL_UNITS) {
+      if (pattern.test(l)) return unit;
+    }
+  }
+  return null;
+}
+
+// Parse "0.4mm", "1/64in", "1/64\"", "12 mm/s" or "-0.1" into { number, unit }; unit is null when absent
+export function parseQuantity(value) {
+  const match = String(value).trim().match(/^([-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?)(?:\s*\/\s*(\d+(?:\.\d*)?))?\s*(.*)$/i);
+  if (!match) return null;
+  let number = parseFloat(match[1]);
+  if (match[2] !== undefined) {
+    const divisor = parseFloat(match[2]);
+    if (!divisor) return null;
+    number /= divisor;
+  }
+  const unitText = match[3].trim().toLowerCase();
+  if (!unitText) return { number, unit: null };
+  const unit = UNIT_ALIASES[unitText.replace(/\s+/g, '')];
+  if (!unit) return null;
+  return { number, unit };
+}
+
+function formatNumber(n) {
+  return String(+n.toFixed(6));
+}
+
+// Convert a value typed by the user to the unit the module expects.
+// Plain numbers pass through; so does text that is not a number with a known unit (e.g., "2D", "3 mm acrylic"),
+// and a number with a unit for a parameter without one, since text and select inputs take such values as they are.
+export function convertValue(value, targetUnit) {
+  const text = String(value).trim();
+  if (!/^[-+.\d]/.test(text)) return { value: text };
+  const quantity = parseQuantity(text);
+  if (!quantity) return { value: text };
+  if (!quantity.unit) return { value: quantity.number === parseFloat(text) ? text : formatNumber(quantity.number) };
+  if (!targetUnit) return { value: text };
+  const from = UNITS[quantity.unit], to = UNITS[targetUnit];
+  if (from.dimension !== to.dimension) return { error: `Cannot convert ${quantity.unit} to ${targetUnit}` };
+  const converted = formatNumber((quantity.number * from.factor) / to.factor);
+  return { value: converted, converted: { from: text, to: converted, unit: targetUnit } };
+}
+
+// --- Module source scanning ---
+
+function literal(text) {
+  const quoted = text.match(/^(['"`])(.*)\1$/);
+  if (quoted) return quoted[2];
+  if (/^[-+]?(\d+(\.\d*)?|\.\d+)$/.test(text)) return text;
+  if (text === 'true' || text === 'false') return text;
+  return undefined;
+}
+
+// Find each input the module creates, in creation order, with the mod.<key> it is bound to and
+// any literal default, min and max the source assigns. Mods interfaces are straight-line code,
+// so the n-th createElement('input') matches the n-th input in the rendered module.
+export function scanModuleInputs(source) {
+  const inputs = [];
+  const pattern = /(\w+)\s*=\s*document\.createElement\(\s*['"]input['"]\s*\)/g;
+  const matches = [...source.matchAll(pattern)];
+  matches.forEach((m, i) => {
+    const segment = source.slice(m.index, i + 1 < matches.length ? matches[i + 1].index : undefined);
+    const variable = m[1];
+    const bound = segment.match(new RegExp(`mod\\.(\\w+)\\s*=\\s*${variable}\\b`));
+    const entry = { key: bound ? bound[1] : null };
+    for (const attr of ['min', 'max']) {
+      const set = segment.match(new RegExp(`\\b${variable}\\.${attr}\\s*=\\s*([^;\\n]+)`));
+      if (set && literal(set[1].trim()) !== undefined) entry[attr] = literal(set[1].trim());
+    }
+    inputs.push(entry);
+  });
+
+  for (const entry of inputs) {
+    if (!entry.key) continue;
+    const assign = source.match(new RegExp(`mod\\.${entry.key}\\.(value|checked)\\s*=\\s*([^;\\n]+)`));
+    if (assign && literal(assign[2].trim()) !== undefined) entry.default = literal(assign[2].trim());
+    for (const attr of ['min', 'max']) {
+      if (entry[attr] !== undefined) continue;
+      const set = source.match(new RegExp(`mod\\.${entry.key}\\.${attr}\\s*=\\s*([^;\\n]+)`));
+      if (set && literal(set[1].trim()) !== undefined) entry[attr] = literal(set[1].trim());
+    }
+  }
+  return inputs;
+}
+
+// Enrich the raw inputs of one module (from the browser) with its path, units, defaults and ranges
+export function describeParams(params, { path = null, source = null } = {}) {
+  const scanned = source ? scanModuleInputs(source) : [];
+  const aligned = scanned.length === params.length;
+  return params.map((p, i) => {
+    const { heading, suffix, min, max, ...base } = p;
+    const param = { ...base, module: path };
+    if (heading) param.heading = heading;
+    const unit = inferUnit(p.label, suffix) || (p.label.length <= 4 ? inferUnit(heading) : null);
+    if (unit) param.unit = unit;
+    const fromSource = aligned ? scanned[i] : {};
+    if (fromSource.default !== undefined) param.default = fromSource.default;
+    const range = { min: min ?? fromSource.min, max: max ?? fromSource.max };
+    if (range.min !== undefined) param.min = range.min;
+    if (range.max !== undefined) param.max = range.max;
+    return param;
+  });
+}
@@ -0,0 +1,146 @@
+// planner.js — Propose module chains from an input file reader to a machine, over the port type graph
+
+import { typesCompatible } from './wiring.js';
+
+// Links between identical declared types are preferred over links that only fit through an untyped port
+const EXACT_LINK_COST = 1;
+const LOOSE_LINK_COST = 4;
+const DEFAULT_MAX_MODULES = 8;
+
+const MACHINE_TYPE_WORDS = {
+  mill: ['mill', 'milling', 'cnc'],
+  vinyl: ['vinyl', 'cutter', 'cut'],
+  laser: ['laser', 'epilog', 'trotec'],
+  print: ['print', 'printer', 'extrude'],
+  router: ['shopbot', 'router', 'route']
+};
+
+const SINK_WORDS = {
+  file: ['save', 'file'],
+  device: ['usb', 'serial', 'socket', 'device']
+};
+
+function words(text) {
+  return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function linkCost(outType, inType) {
+  if (!typesCompatible(outType, inType)) return null;
+  const a = (outType || '').trim().toLowerCase(), b = (inType || '').trim().toLowerCase();
+  return a && a === b ? EXACT_LINK_COST : LOOSE_LINK_COST;
+}
+
+// Cheapest output → input port pair between two modules; same-named ports win ties
+function bestPortPair(from, to) {
+  let best = null;
+  for (const [out, outPort] of Object.entries(from.outputs || {})) {
+    for (const [input, inPort] of Object.entries(to.inputs || {})) {
+      const cost = linkCost(outPort.type, inPort.type);
+      if (cost === null) continue;
+      const score = cost - (out.toLowerCase() === input.toLowerCase() ? 0.5 : 0);
+      if (!best || score < best.score) best = { out, input, cost, score };
+    }
+  }
+  return best;
+}
+
+export function findReaders(index, format) {
+  const ext = format.toLowerCase().replace(/^.*\./, '');
+  const isReader = m => words(m.category).includes('read') || m.path.toLowerCase().includes('/read/');
+  return index.filter(m => !m.error && isReader(m) && words(`${m.path} ${m.name}`).includes(ext));
+}
+
+// The module that drives the machine: machine name words in its path or name, else words for its type
+export function findMachineModules(index, machine) {
+  const nameWords = words(machine.name).filter(w => w.length > 1);
+  const scored = index.filter(m => !m.error && Object.keys(m.inputs || {}).length > 0).map(m => {
+    const text = words(`${m.path} ${m.name}`);
+    return { m, score: nameWords.filter(w => text.includes(w)).length };
+  }).filter(s => s.score >= Math.min(2, nameWords.length));
+  if (scored.length > 0) return scored.sort((a, b) => b.score - a.score).map(s => s.m);
+
+  const type = (machine.type || '').toLowerCase();
+  const typeWords = Object.entries(MACHINE_TYPE_WORDS).filter(([key]) => type.includes(key)).flatMap(([, w]) => w);
+  return index.filter(m => !m.error && /machine/.test(m.path.toLowerCase()) && words(`${m.path} ${m.name}`).some(w => typeWords.includes(w)));
+}
+
+export function findSinks(index, kind) {
+  const wanted = SINK_WORDS[kind] || [];
+  return index.filter(m => !m.error && Object.keys(m.outputs || {}).length === 0 && Object.keys(m.inputs || {}).length > 0
+    && words(`${m.path} ${m.name}`).some(w => wanted.includes(w)));
+}
+
+// Dijkstra over modules: an edge exists where some output of one module can feed some input of the next
+function cheapestChain(index, start, goal, maxModules) {
+  const best = new Map([[start.path, { cost: 0, chain: [start], links: [] }]]);
+  const queue = [best.get(start.path)];
+  while (queue.length > 0) {
+    queue.sort((a, b) => a.cost - b.cost);
+    const current = queue.shift();
+    const last = current.chain[current.chain.length - 1];
+    if (last === goal) return current;
+    if (current.chain.length >= maxModules) continue;
+    for (const next of index) {
+      if (next.error || current.chain.includes(next)) continue;
+      if (next !== goal && Object.keys(next.outputs || {}).length === 0) continue;
+      const pair = bestPortPair(last, next);
+      if (!pair) continue;
+      const cost = current.cost + pair.cost;
+      const known = best.get(next.path);
+      if (known && known.cost <= cost) continue;
+      const entry = { cost, chain: [...current.chain, next], links: [...current.links, pair] };
+      best.set(next.path, entry);
+      queue.push(entry);
+    }
+  }
+  return null;
+}
+
+// Turn a chain into create_program arguments; repeated module names get aliases
+function toProgram(chain, links) {
+  const counts = new Map();
+  const labels = chain.map(m => {
+    const n = (counts.get(m.name) || 0) + 1;
+    counts.set(m.name, n);
+    return n > 1 ? `${m.name} ${n}` : m.name;
+  });
+  const modules = chain.map((m, i) => (labels[i] !== m.name ? { path: m.path, alias: labels[i] } : m.path));
+  const programLinks = links.map((l, i) => ({ from: `${labels[i]}.${l.out}`, to: `${labels[i + 1]}.${l.input}` }));
+
+  const fed = new Set(links.map((l, i) => `${i + 1}.${l.input}`));
+  const unconnectedInputs = chain.flatMap((m, i) => (i === 0 ? [] : Object.entries(m.inputs || {})
+    .filter(([name]) => !fed.has(`${i}.${name}`))
+    .map(([name, port]) => `${labels[i]}.${name}${port.type ? ` (${port.type})` : ''}`)));
+  const looseLinks = links.map((l, i) => (l.cost === LOOSE_LINK_COST ? `${programLinks[i].from} → ${programLinks[i].to}` : null)).filter(Boolean);
+  return { modules, links: programLinks, unconnectedInputs, looseLinks };
+}
+
+// Plans from every reader to every machine module (then to the sink, if any), cheapest first
+export function planPipelines(index, { format, machine, output = 'file', maxModules = DEFAULT_MAX_MODULES, limit = 3 }) {
+  const readers = findReaders(index, format);
+  if (readers.length === 0) return { error: `No reader module for ${format.toUpperCase()} files in this Mods deployment. Use search_modules to look for one.` };
+  const machineModules = findMachineModules(index, machine).slice(0, 5);
+  if (machineModules.length === 0) return { error: `No module found for ${machine.name} (${machine.type}). Use search_modules to find the machine module.` };
+  const sinks = output === 'none' ? [] : findSinks(index, output);
+
+  const plans = [];
+  for (const reader of readers) {
+    for (const target of machineModules) {
+      const found = cheapestChain(index, reader, target, maxModules);
+      if (!found) continue;
+      let { chain, links, cost } = found;
+      const sink = sinks.map(s => ({ s, pair: bestPortPair(target, s) })).filter(x => x.pair).sort((a, b) => a.pair.cost - b.pair.cost)[0];
+      if (sink) {
+        chain = [...chain, sink.s];
+        links = [...links, sink.pair];
+        cost += sink.pair.cost;
+      }
+      plans.push({ cost, reader: reader.path, machineModule: target.path, sink: sink ? sink.s.path : null, ...toProgram(chain, links) });
+    }
+  }
+  if (plans.length === 0) {
+    return { error: `No chain of at most ${maxModules} modules connects a ${format.toUpperCase()} reader to ${machineModules[0].name}. Try a larger max_modules or wire it with search_modules.` };
+  }
+  plans.sort((a, b) => a.cost - b.cost || a.modules.length - b.modules.length);
+  return { plans: plans.slice(0, limit) };
+}
@@ -0,0 +1,70 @@
+// programs.js — Local library of saved Mods programs in ~/.mops/programs
+
+import { readFile, writeFile, readdir, mkdir, stat } from 'node:fs/promises';
+import { join, extname, basename } from 'node:path';
+import { homedir } from 'node:os';
+
+export const PROGRAMS_DIR = join(homedir(), '.mops', 'programs');
+export const SAVED_PREFIX = 'saved:';
+
+function checkName(name) {
+  if (!/^[\w][\w .()-]*$/.test(name)) throw new Error(`Invalid program name "${name}". Use letters, digits, spaces, dots, dashes, parentheses and underscores.`);
+  return name;
+}
+
+// Accept both the library format ({ program, parameters, ... }) and a raw v2 program JSON
+export function normalizeProgramFile(data) {
+  if (data && data.program && data.program.modules) return data;
+  if (data && data.modules) return { program: data, parameters: [] };
+  throw new Error('Not a Mods program: expected "modules" and "links"');
+}
+
+export async function readProgramFile(filePath) {
+  return normalizeProgramFile(JSON.parse(await readFile(filePath, 'utf-8')));
+}
+
+export async function loadSavedProgram(name) {
+  const file = join(PROGRAMS_DIR, checkName(name) + '.json');
+  try {
+    return { ...await readProgramFile(file), file };
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`Saved program "${name}" not found in ${PROGRAMS_DIR}`);
+    throw err;
+  }
+}
+
+export async function saveProgram(name, { program, parameters, basedOn, description }, overwrite = true) {
+  checkName(name);
+  await mkdir(PROGRAMS_DIR, { recursive: true });
+  const file = join(PROGRAMS_DIR, name + '.json');
+  if (!overwrite && await stat(file).then(() => true, () => false)) {
+    throw new Error(`Saved program "${name}" already exists. Pass overwrite: true to replace it.`);
+  }
+  const record = { name, description: description || '', basedOn: basedOn || null, savedAt: new Date().toISOString(), program, parameters };
+  await writeFile(file, JSON.stringify(record, null, 2));
+  return file;
+}
+
+// Entries shaped like programs manifest items so they can be listed next to it
+export async function listSavedPrograms() {
+  let files;
+  try {
+    files = await readdir(PROGRAMS_DIR);
+  } catch {
+    return [];
+  }
+  const items = [];
+  for (const file of files.filter(f => extname(f) === '.json').sort()) {
+    const name = basename(file, '.json');
+    try {
+      const data = await readProgramFile(join(PROGRAMS_DIR, file));
+      items.push({
+        category: 'saved', name, path: SAVED_PREFIX + name,
+        description: data.description || '', basedOn: data.basedOn || null, savedAt: data.savedAt || null
+      });
+    } catch (err) {
+      items.push({ category: 'saved', name, path: SAVED_PREFIX + name, error: err.message });
+    }
+  }
+  return items;
+}
@@ -0,0 +1,172 @@
+// prompts.js — Guided fabrication workflows served as MCP prompts
+
+// Every workflow takes the input file, machine and material; some add their own arguments.
+// steps(args, materialSteps) places the apply_material step (if any) after the preset buttons that would overwrite it.
+const COMMON_ARGS = [
+  { name: 'file_path', description: 'Absolute path to the input file', required: true },
+  { name: 'machine', description: 'Machine to use (profile machine name, e.g., "Roland SRM-20"); default: the first profile machine of the right type' },
+  { name: 'material', description: 'Stock material' }
+];
+
+const SAVE_FILE_STEP = 'Find the on/off switch whose `connectedTo` includes the "save file" module and turn it ON with `set_parameter` (value "true"). It is OFF by default: skip this and the job runs without producing a file. The switch feeding WebUSB/WebSerial is ON by default and sends output straight to the machine; turn it OFF unless the user wants to cut right away.';
+
+function readerModule(filePath) {
+  const ext = (filePath.match(/\.(\w+)$/) || [])[1] || '';
+  return { svg: 'read SVG', png: 'read PNG', stl: 'read STL' }[ext.toLowerCase()] || 'the matching reader module';
+}
+
+export const WORKFLOWS = [
+  {
+    name: 'mill_pcb',
+    title: 'Mill PCB traces and outline',
+    description: 'Step-by-step instructions to mill PCB traces and cut the board outline from SVG/PNG files',
+    args: [
+      ...COMMON_ARGS,
+      { name: 'outline_path', description: 'Absolute path to the outline (interior) SVG/PNG, if it is a separate file' }
+    ],
+    machineTypes: ['mill', 'cnc', 'pcb'],
+    programPattern: /pcb/i,
+    defaultMaterial: 'FR1 copper-clad board, 1.6 mm',
+    steps: (args, materialSteps) => [
+      'Apply the traces preset: `trigger_action` on "set PCB defaults" with action "mill traces (1/64)".',
+      ...materialSteps,
+      `Load the traces file: \`load_file\` into "${readerModule(args.file_path)}" with ${args.file_path}.`,
+      'Check the tool diameter, cut depth and number of offsets with `get_program_state`; adjust with `set_parameters` if the bit or board differs.',
+      'Compute the toolpath: `trigger_action` on "mill raster 2D" with action "calculate" and wait_for "download".',
+      'Check the traces export with `analyze_toolpath` (bounding box and depth against the board) and `render_toolpath`.',
+      'Apply the outline preset: `trigger_action` on "set PCB defaults" with action "mill outline (1/32)". It replaces the traces settings, material preset included. Change the bit to 1/32" before running this job.',
+      args.outline_path
+        ? `Load the outline file: \`load_file\` into "${readerModule(args.outline_path)}" with ${args.outline_path}.`
+        : 'Load the outline (interior) image with `load_file`; ask the user for it if it is not part of the traces file.',
+      'Make sure the outline cut depth reaches through the board (max depth ≥ board thickness), then `trigger_action` "calculate" on "mill raster 2D" again with wait_for "download" and check the export with `analyze_toolpath`.'
+    ],
+    notes: [
+      'Use FR1 (paper phenolic). FR4 is glass fibre: its dust is hazardous and it wears bits quickly.',
+      'Traces are cut with a 1/64" (0.4 mm) bit, the outline with a 1/32" (0.8 mm) bit. Re-zero Z after every tool change.'
+    ]
+  },
+  {
+    name: 'cut_vinyl_sticker',
+    title: 'Cut a vinyl sticker',
+    description: 'Step-by-step instructions to cut a vinyl sticker from an SVG/PNG on a vinyl cutter',
+    args: COMMON_ARGS,
+    machineTypes: ['vinyl', 'cutter', 'plotter'],
+    programPattern: /vinyl|\b(gx|gs|camm)\b/i,
+    defaultMaterial: 'adhesive vinyl',
+    steps: (args, materialSteps) => [
+      ...materialSteps,
+      `Load the design: \`load_file\` into "${readerModule(args.file_path)}" with ${args.file_path}. Text must be converted to outlines in the SVG.`,
+      'Check the cut width, force and speed parameters with `get_program_state` and set them for the material with `set_parameters`.',
+      'Compute the cut path: `trigger_action` "calculate" on the module that computes the toolpath (the module whose `buttons` include "calculate") and wait_for "download".',
+      'Check the export with `render_toolpath` (every shape should be a closed outline) and `analyze_toolpath` (it must fit the roll width).'
+    ],
+    notes: [
+      'Do a small test cut first: the blade should cut through the vinyl but only score the backing paper.',
+      'Mirror the design only for heat-transfer vinyl.'
+    ]
+  },
+  {
+    name: 'laser_cut_acrylic',
+    title: 'Laser-cut acrylic',
+    description: 'Step-by-step instructions to laser-cut acrylic parts from an SVG/PNG',
+    args: COMMON_ARGS,
+    machineTypes: ['laser'],
+    programPattern: /laser|epilog|trotec|gcc/i,
+    defaultMaterial: 'cast acrylic, 3 mm',
+    steps: (args, materialSteps) => [
+      ...materialSteps,
+      `Load the design: \`load_file\` into "${readerModule(args.file_path)}" with ${args.file_path}.`,
+      'Set power, speed and rate for the material and thickness with `set_parameters` (check the labels in `get_program_state`). Cutting needs low speed and high power; engraving the reverse.',
+      'Compute the job: `trigger_action` "calculate" on the module whose `buttons` include "calculate", with wait_for "download".',
+      'Check the export with `render_toolpath` and `analyze_toolpath` against the bed size.'
+    ],
+    notes: [
+      'Cast acrylic cuts cleanly; extruded acrylic melts more and needs more speed. Never cut PVC or polycarbonate.',
+      'Keep the air assist and exhaust on and never leave the cutter unattended.'
+    ]
+  },
+  {
+    name: 'print_stl',
+    title: '3D print an STL',
+    description: 'Step-by-step instructions to prepare an STL for 3D printing',
+    args: COMMON_ARGS,
+    machineTypes: ['3d', 'print'],
+    programPattern: /print|slice|prusa|ultimaker|creality/i,
+    defaultMaterial: 'PLA',
+    steps: (args, materialSteps) => [
+      ...materialSteps,
+      `Load the mesh: \`load_file\` into "${readerModule(args.file_path)}" with ${args.file_path}. Check units: STL has none, so confirm the model size in the mesh module.`,
+      'Set layer height, nozzle and material temperatures with `set_parameters` (check the labels in `get_program_state`).',
+      'Compute the toolpath: `trigger_action` "calculate" (or "slice") on the module that offers it, with wait_for "download".',
+      'Check the G-code with `analyze_toolpath` (extents must fit the build volume) before printing.'
+    ],
+    notes: [
+      'PLA: nozzle around 200-215 °C, bed 60 °C. PETG: around 235 °C, bed 80 °C.'
+    ]
+  }
+];
+
+// Profile machine for a workflow: the named one, else the first whose type fits
+export function findWorkflowMachine(workflow, machines, name) {
+  if (name) {
+    const wanted = name.toLowerCase();
+    return machines.find(m => m.name.toLowerCase() === wanted)
+      || machines.find(m => m.name.toLowerCase().includes(wanted)) || null;
+  }
+  const described = m => `${m.type} ${m.name} ${((m.capabilities && m.capabilities.processes) || []).join(' ')}`.toLowerCase();
+  return machines.find(m => workflow.machineTypes.some(t => described(m).includes(t))) || null;
+}
+
+// Programs that fit the workflow, those naming the machine first
+export function matchPrograms(workflow, programs, machine, machineName) {
+  const keywords = (machine ? machine.name : machineName || '').toLowerCase().split(/[\s-]+/).filter(w => w.length > 1);
+  const scored = programs
+    .filter(p => workflow.programPattern.test(p.path) || (machine && p.path === machine.program))
+    .map(p => {
+      const path = p.path.toLowerCase();
+      let score = keywords.filter(kw => path.includes(kw)).length;
+      if (machine && p.path === machine.program) score += 100;
+      return { path: p.path, score };
+    });
+  scored.sort((a, b) => b.score - a.score);
+  return scored.map(p => p.path);
+}
+
+// Profile material preset for the requested material on this machine, matched by name either way round
+function findMaterialPreset(materials, material, machine) {
+  if (!material) return null;
+  const wanted = material.toLowerCase();
+  return materials.find(p => (!p.machine || (machine && p.machine.toLowerCase() === machine.name.toLowerCase()))
+    && (p.name.toLowerCase().includes(wanted) || wanted.includes(p.name.toLowerCase()))) || null;
+}
+
+export function buildWorkflowPrompt(workflow, args, { machine, programs, materials = [] }) {
+  const material = args.material || workflow.defaultMaterial;
+  const preset = findMaterialPreset(materials, args.material, machine);
+  const machineText = machine ? `${machine.name} (${machine.type})` : args.machine || 'a suitable machine';
+  const lines = [`Goal: ${workflow.title} from ${args.file_path} on ${machineText}, material: ${material}.`, ''];
+
+  if (programs.length > 0) {
+    lines.push(`Program: ${programs[0]}`);
+    if (programs.length > 1) lines.push(`Other candidates: ${programs.slice(1, 5).join('; ')}`);
+  } else {
+    lines.push('Program: no matching program was found in the manifest. Call `list_programs` (category "machines") and pick the one for this machine, or tell the user none exists.');
+  }
+  if (args.machine && !machine) lines.push(`Note: "${args.machine}" is not in the user profile; add it with \`update_profile\` for device auto-selection and limit checks.`);
+  lines.push('');
+
+  const steps = [
+    machine
+      ? `Call \`get_server_status\`; if the browser is not running, \`launch_browser\` with machine "${machine.name}".`
+      : 'Call `get_server_status`; if the browser is not running, `launch_browser`.',
+    programs.length > 0 ? `\`load_program\` with path "${programs[0]}".` : '`load_program` with the program you picked.',
+    'Call `get_program_state` to see the modules, their parameters, buttons and connections.',
+    SAVE_FILE_STEP,
+    ...workflow.steps(args, preset ? [`Apply the saved settings for ${material}: \`apply_material\` "${preset.name}". Keep its values in the steps below unless the user asks otherwise.`] : []),
+    'Report the exported file (`list_exports`) and any warnings to the user.'
+  ];
+  lines.push('Steps:', ...steps.map((s, i) => `${i + 1}. ${s}`), '');
+  lines.push('Material and safety notes:', ...workflow.notes.map(n => `- ${n}`));
+  if (machine && machine.limits) lines.push(`- ${machine.name} has safety limits in the profile; out-of-limit parameters and output are rejected or flagged.`);
+  return lines.join('\n');
+}
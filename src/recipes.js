@@ -0,0 +1,157 @@
+// recipes.js — Declarative workflow recipes (JSON or YAML) stored in ~/.mops/recipes
+
+import { readFile, writeFile, readdir, mkdir } from 'node:fs/promises';
+import { join, extname, basename } from 'node:path';
+import { homedir } from 'node:os';
+import YAML from 'yaml';
+
+export const RECIPES_DIR = join(homedir(), '.mops', 'recipes');
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Keys on a step that configure the runner rather than being passed to the action
+const STEP_OPTIONS = ['tool', 'label', 'expect_download'];
+
+function checkName(name) {
+  if (!/^[\w][\w .-]*$/.test(name)) throw new Error(`Invalid recipe name "${name}". Use letters, digits, spaces, dots, dashes and underscores.`);
+  return name;
+}
+
+export function parseRecipe(text, format) {
+  const recipe = format === 'json' ? JSON.parse(text) : YAML.parse(text);
+  const errors = validateRecipe(recipe);
+  if (errors.length > 0) throw new Error(`Invalid recipe: ${errors.join('; ')}`);
+  return recipe;
+}
+
+export function validateRecipe(recipe) {
+  const errors = [];
+  if (!recipe || typeof recipe !== 'object') return ['recipe must be an object'];
+  if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) errors.push('steps must be a non-empty list');
+  else {
+    recipe.steps.forEach((step, i) => {
+      if (!step || typeof step !== 'object' || typeof step.tool !== 'string') errors.push(`step ${i + 1} needs a "tool"`);
+    });
+  }
+  if (recipe.variables !== undefined && (typeof recipe.variables !== 'object' || Array.isArray(recipe.variables))) {
+    errors.push('variables must be a map of name → { default, required, description }');
+  }
+  return errors;
+}
+
+async function findRecipeFile(name) {
+  checkName(name);
+  for (const ext of EXTENSIONS) {
+    const file = join(RECIPES_DIR, name + ext);
+    try {
+      return { file, text: await readFile(file, 'utf-8'), format: ext === '.json' ? 'json' : 'yaml' };
+    } catch { /* try next extension */ }
+  }
+  return null;
+}
+
+export async function loadRecipe(name) {
+  const found = await findRecipeFile(name);
+  if (!found) throw new Error(`Recipe "${name}" not found in ${RECIPES_DIR}`);
+  return { ...parseRecipe(found.text, found.format), name, file: found.file };
+}
+
+export async function listRecipes() {
+  let files;
+  try {
+    files = await readdir(RECIPES_DIR);
+  } catch {
+    return [];
+  }
+  const recipes = [];
+  for (const file of files.filter(f => EXTENSIONS.includes(extname(f).toLowerCase())).sort()) {
+    const name = basename(file, extname(file));
+    try {
+      const recipe = await loadRecipe(name);
+      recipes.push({ name, description: recipe.description || '', variables: recipe.variables || {}, steps: recipe.steps.length });
+    } catch (err) {
+      recipes.push({ name, error: err.message });
+    }
+  }
+  return recipes;
+}
+
+export async function saveRecipe(name, text, format = 'yaml') {
+  checkName(name);
+  parseRecipe(text, format);
+  await mkdir(RECIPES_DIR, { recursive: true });
+  const file = join(RECIPES_DIR, name + (format === 'json' ? '.json' : '.yaml'));
+  await writeFile(file, text);
+  return file;
+}
+
+// Merge provided values with declared defaults; report required variables left unset
+export function resolveVariables(recipe, provided = {}) {
+  const values = {};
+  const missing = [];
+  for (const [key, spec] of Object.entries(recipe.variables || {})) {
+    const def = spec && typeof spec === 'object' ? spec : { default: spec };
+    if (provided[key] !== undefined) values[key] = String(provided[key]);
+    else if (def.default !== undefined && def.default !== null) values[key] = String(def.default);
+    else if (def.required !== false) missing.push(key);
+  }
+  for (const [key, value] of Object.entries(provided)) {
+    if (!(key in values)) values[key] = String(value);
+  }
+  return { values, missing };
+}
+
+function substitute(value, values) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => {
+      if (!(key in values)) throw new Error(`Unknown variable {{${key}}}`);
+      return values[key];
+    });
+  }
+  if (Array.isArray(value)) return value.map(v => substitute(v, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v, values)]));
+  }
+  return value;
+}
+
+// Run steps in order through the given actions ({ tool: async (args) => result }), stopping on the first error
+export async function runRecipe(recipe, provided, actions) {
+  const { values, missing } = resolveVariables(recipe, provided);
+  const report = { recipe: recipe.name, variables: values, success: false, steps: [] };
+  if (missing.length > 0) {
+    report.error = `Missing required variable(s): ${missing.join(', ')}`;
+    return report;
+  }
+
+  let failed = false;
+  for (const [i, step] of recipe.steps.entries()) {
+    const entry = { step: i + 1, tool: step.tool };
+    if (step.label) entry.label = step.label;
+    report.steps.push(entry);
+    if (failed) {
+      entry.status = 'skipped';
+      continue;
+    }
+
+    const started = Date.now();
+    try {
+      const action = actions[step.tool];
+      if (!action) throw new Error(`Unknown tool "${step.tool}". Available: ${Object.keys(actions).join(', ')}`);
+      const args = substitute(Object.fromEntries(Object.entries(step).filter(([k]) => !STEP_OPTIONS.includes(k))), values);
+      entry.args = args;
+      const result = await action(args);
+      entry.result = result;
+      if (result && result.error) throw new Error(result.error);
+      if (step.expect_download && !(result && result.download)) throw new Error('Expected a download but none arrived');
+      entry.status = 'ok';
+    } catch (err) {
+      entry.status = 'error';
+      entry.error = err.message;
+      report.error = `Step ${i + 1} (${step.label || step.tool}) failed: ${err.message}`;
+      failed = true;
+    }
+    entry.durationMs = Date.now() - started;
+  }
+  report.success = !failed;
+  return report;
+}
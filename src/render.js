@@ -0,0 +1,193 @@
+// render.js — Render parsed toolpath moves to PNG or SVG previews
+
+import { deflateSync } from 'node:zlib';
+
+const BACKGROUND = [255, 255, 255];
+const TRAVEL_COLOR = [229, 115, 115];
+const SHALLOW_COLOR = [129, 212, 250];
+const DEEP_COLOR = [13, 71, 161];
+const FLAT_COLOR = [21, 101, 192];
+const DEPTH_LEVELS = 16;
+const MARGIN = 16;
+
+// --- Layout ---
+
+// Fit all moves into a canvas `width` pixels wide, flipping Y so machine +Y points up
+function layout(moves, width) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const m of moves) {
+    for (const p of [m.from, m.to]) {
+      minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+      minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    }
+  }
+  const spanX = Math.max(maxX - minX, 1e-6), spanY = Math.max(maxY - minY, 1e-6);
+  const scale = (width - 2 * MARGIN) / Math.max(spanX, spanY);
+  const height = Math.max(Math.round(spanY * scale + 2 * MARGIN), 2 * MARGIN + 1);
+  const canvasWidth = Math.max(Math.round(spanX * scale + 2 * MARGIN), 2 * MARGIN + 1);
+  return {
+    width: canvasWidth,
+    height,
+    project: p => [MARGIN + (p.x - minX) * scale, height - MARGIN - (p.y - minY) * scale]
+  };
+}
+
+// Quantize each cut move's lowest Z into DEPTH_LEVELS buckets between the shallowest and deepest cut
+function depthShader(moves) {
+  let zTop = -Infinity, zBottom = Infinity;
+  for (const m of moves) {
+    if (!m.cut) continue;
+    const z = Math.min(m.from.z, m.to.z);
+    zTop = Math.max(zTop, z);
+    zBottom = Math.min(zBottom, z);
+  }
+  const flat = !(zTop - zBottom >= 1e-6);
+  const colors = [];
+  for (let i = 0; i < DEPTH_LEVELS; i++) {
+    const t = i / (DEPTH_LEVELS - 1);
+    colors.push(SHALLOW_COLOR.map((c, k) => Math.round(c + (DEEP_COLOR[k] - c) * t)));
+  }
+  return {
+    flat,
+    zTop: flat ? null : zTop,
+    zBottom: flat ? null : zBottom,
+    level(move) {
+      if (flat) return null;
+      const z = Math.min(move.from.z, move.to.z);
+      return Math.round(((zTop - z) / (zTop - zBottom)) * (DEPTH_LEVELS - 1));
+    },
+    color(level) {
+      return level === null ? FLAT_COLOR : colors[level];
+    }
+  };
+}
+
+function hex(rgb) {
+  return '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+// --- SVG ---
+
+export function renderSvg(moves, { width = 800, showTravel = true } = {}) {
+  const { width: w, height: h, project } = layout(moves, width);
+  const shader = depthShader(moves);
+  const paths = [];
+  let current = null;
+
+  // Join consecutive moves of the same style into one polyline to keep the document small
+  for (const m of moves) {
+    if (!m.cut && !showTravel) { current = null; continue; }
+    const style = m.cut ? `c${shader.level(m)}` : 't';
+    const [x0, y0] = project(m.from), [x1, y1] = project(m.to);
+    if (!current || current.style !== style || current.end !== `${x0.toFixed(2)},${y0.toFixed(2)}`) {
+      current = { style, cut: m.cut, level: m.cut ? shader.level(m) : null, points: [`${x0.toFixed(2)},${y0.toFixed(2)}`] };
+      paths.push(current);
+    }
+    current.end = `${x1.toFixed(2)},${y1.toFixed(2)}`;
+    current.points.push(current.end);
+  }
+
+  const lines = paths.map(p => p.cut
+    ? `<polyline points="${p.points.join(' ')}" stroke="${hex(shader.color(p.level))}" stroke-width="1.5"/>`
+    : `<polyline points="${p.points.join(' ')}" stroke="${hex(TRAVEL_COLOR)}" stroke-width="0.75" stroke-dasharray="3 2"/>`);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+    `<rect width="100%" height="100%" fill="${hex(BACKGROUND)}"/>`,
+    '<g fill="none" stroke-linecap="round" stroke-linejoin="round">',
+    ...lines,
+    '</g>',
+    '</svg>'
+  ].join('\n');
+}
+
+// --- PNG ---
+
+function drawLine(pixels, w, h, [x0, y0], [x1, y1], color, thickness, dashed) {
+  const steps = Math.max(Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0))), 1);
+  const r = Math.floor(thickness / 2);
+  for (let i = 0; i <= steps; i++) {
+    if (dashed && i % 5 >= 3) continue;
+    const cx = Math.round(x0 + ((x1 - x0) * i) / steps);
+    const cy = Math.round(y0 + ((y1 - y0) * i) / steps);
+    for (let dy = -r; dy <= r + (thickness % 2 === 0 ? -1 : 0); dy++) {
+      for (let dx = -r; dx <= r + (thickness % 2 === 0 ? -1 : 0); dx++) {
+        const x = cx + dx, y = cy + dy;
+        if (x < 0 || y < 0 || x >= w || y >= h) continue;
+        const o = (y * w + x) * 3;
+        pixels[o] = color[0]; pixels[o + 1] = color[1]; pixels[o + 2] = color[2];
+      }
+    }
+  }
+}
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(w, h, pixels) {
+  const raw = Buffer.alloc((w * 3 + 1) * h);
+  for (let y = 0; y < h; y++) {
+    raw[y * (w * 3 + 1)] = 0; // filter: none
+    pixels.copy(raw, y * (w * 3 + 1) + 1, y * w * 3, (y + 1) * w * 3);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(w, 0);
+  header.writeUInt32BE(h, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+export function renderPng(moves, { width = 800, showTravel = true } = {}) {
+  const { width: w, height: h, project } = layout(moves, width);
+  const shader = depthShader(moves);
+  const pixels = Buffer.alloc(w * h * 3);
+  for (let i = 0; i < pixels.length; i += 3) pixels.set(BACKGROUND, i);
+
+  if (showTravel) {
+    for (const m of moves) {
+      if (!m.cut) drawLine(pixels, w, h, project(m.from), project(m.to), TRAVEL_COLOR, 1, true);
+    }
+  }
+  // Shallow cuts first so deeper passes stay visible on top
+  const cuts = moves.filter(m => m.cut).map(m => ({ m, level: shader.level(m) }));
+  cuts.sort((a, b) => (a.level ?? 0) - (b.level ?? 0));
+  for (const { m, level } of cuts) drawLine(pixels, w, h, project(m.from), project(m.to), shader.color(level), 2, false);
+
+  return encodePng(w, h, pixels);
+}
+
+// Describe the colour scheme so the image can be read without a drawn legend
+export function legend(moves, showTravel = true) {
+  const shader = depthShader(moves);
+  const entries = {};
+  if (shader.flat) entries.cut = hex(FLAT_COLOR);
+  else {
+    entries.cutShallow = `${hex(SHALLOW_COLOR)} (z = ${+shader.zTop.toFixed(3)} mm)`;
+    entries.cutDeep = `${hex(DEEP_COLOR)} (z = ${+shader.zBottom.toFixed(3)} mm)`;
+  }
+  if (showTravel) entries.travel = `${hex(TRAVEL_COLOR)} dashed`;
+  return entries;
+}
@@ -0,0 +1,110 @@
+// search.js — Ranked module search by name, category and port types
+
+// Words that name the same kind of data as Mods port types and names
+const TYPE_SYNONYMS = {
+  image: ['rgba', 'image', 'imagedata', 'imageinfo', 'bitmap', 'png'],
+  mesh: ['mesh', 'stl', 'triangles', 'volume'],
+  toolpath: ['toolpath', 'path', 'paths'],
+  distance: ['distance', 'distances'],
+  file: ['file', 'string', 'text'],
+  number: ['number', 'float', 'int', 'value'],
+  array: ['array', 'float32array', 'uint8array']
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'module', 'modules', 'that', 'which', 'with', 'to', 'of', 'for', 'and', 'or', 'find', 'me', 'show', 'any', 'some']);
+
+const INPUT_PHRASE = /\b(?:accepts?|takes?|inputs?|reads?|consumes?|from)\s+(?:an?\s+|the\s+)?([\w-]+)/gi;
+const OUTPUT_PHRASE = /\b(?:outputs?|produces?|emits?|generates?|returns?)\s+(?:an?\s+|the\s+)?([\w-]+)/gi;
+
+function words(text) {
+  return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// A type term with its plural stripped, widened to its synonyms
+function expand(term) {
+  const t = term.toLowerCase();
+  const forms = [...new Set([t, t.replace(/s$/, ''), t.replace(/es$/, '')])].filter(f => f.length > 2 || f === t);
+  for (const [key, synonyms] of Object.entries(TYPE_SYNONYMS)) {
+    if (forms.some(f => f === key || synonyms.includes(f))) return [key, ...synonyms];
+  }
+  return forms;
+}
+
+// Split a question like "modules that accept a mesh" into port constraints and remaining keywords
+export function parseQuery(query) {
+  const inputs = [], outputs = [];
+  let rest = query || '';
+  rest = rest.replace(INPUT_PHRASE, (m, term) => { inputs.push(term); return ' '; });
+  rest = rest.replace(OUTPUT_PHRASE, (m, term) => { outputs.push(term); return ' '; });
+  return { inputs, outputs, keywords: words(rest).filter(w => !STOP_WORDS.has(w)) };
+}
+
+// Best score of any port against a type term: type matches weigh more than port names
+function portScore(ports, term) {
+  const candidates = expand(term);
+  let best = 0;
+  for (const [name, port] of Object.entries(ports || {})) {
+    const type = (port.type || '').toLowerCase();
+    const portWords = words(name);
+    if (candidates.includes(type)) best = Math.max(best, 5);
+    else if (type && candidates.some(c => type.includes(c))) best = Math.max(best, 4);
+    if (candidates.some(c => portWords.includes(c))) best = Math.max(best, 3);
+    else if (candidates.some(c => name.toLowerCase().includes(c))) best = Math.max(best, 2);
+  }
+  return best;
+}
+
+function keywordScore(entry, keyword) {
+  const nameWords = words(entry.name);
+  if (nameWords.includes(keyword)) return 4;
+  if ((entry.name || '').toLowerCase().includes(keyword)) return 3;
+  if (words(entry.category).includes(keyword)) return 2;
+  if (entry.path.toLowerCase().includes(keyword)) return 1;
+  const portNames = [...Object.keys(entry.inputs || {}), ...Object.keys(entry.outputs || {})].flatMap(words);
+  return portNames.includes(keyword) ? 1 : 0;
+}
+
+export function portSignature(ports) {
+  return Object.entries(ports || {}).map(([name, port]) => (port.type ? `${name} (${port.type})` : name));
+}
+
+// index: [{ path, name, category, inputs, outputs }]. Every constraint must match; keywords add to the score.
+export function searchModules(index, { query, inputType, outputType, category, limit = 10 } = {}) {
+  const parsed = parseQuery(query);
+  const inputs = [...parsed.inputs, ...(inputType ? [inputType] : [])];
+  const outputs = [...parsed.outputs, ...(outputType ? [outputType] : [])];
+  const results = [];
+  for (const entry of index) {
+    if (category && !(entry.category || '').toLowerCase().includes(category.toLowerCase())) continue;
+    let score = 0;
+    let matched = true;
+    for (const term of inputs) {
+      const s = portScore(entry.inputs, term);
+      if (!s) { matched = false; break; }
+      score += s;
+    }
+    for (const term of outputs) {
+      if (!matched) break;
+      const s = portScore(entry.outputs, term);
+      if (!s) { matched = false; break; }
+      score += s;
+    }
+    if (!matched) continue;
+    const keywordScores = parsed.keywords.map(k => keywordScore(entry, k));
+    // Free text alone needs at least one hit; with port constraints it only ranks
+    if (parsed.keywords.length > 0 && keywordScores.every(s => s === 0) && inputs.length + outputs.length === 0) continue;
+    score += keywordScores.reduce((a, b) => a + b, 0);
+    if (keywordScores.length > 1 && keywordScores.every(s => s > 0)) score += 2;
+    results.push({ entry, score });
+  }
+  results.sort((a, b) => b.score - a.score || a.entry.path.localeCompare(b.entry.path));
+  return {
+    interpreted: { inputs, outputs, keywords: parsed.keywords, category: category || null },
+    total: results.length,
+    results: results.slice(0, limit).map(({ entry, score }) => {
+      const result = { path: entry.path, name: entry.name, category: entry.category, score, inputs: portSignature(entry.inputs), outputs: portSignature(entry.outputs) };
+      if (entry.error) result.error = entry.error;
+      return result;
+    })
+  };
+}
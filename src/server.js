@@ -1,54 +1,172 @@
 // server.js — MCP server for remote mods CE interaction
 
 import { stat, readFile, writeFile, mkdir } from 'node:fs/promises';
-import { extname, join } from 'node:path';
+import { extname, join, dirname, resolve } from 'node:path';
 import { homedir } from 'node:os';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { fileURLToPath } from 'node:url';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { randomBytes } from 'node:crypto';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
 import vm from 'node:vm';
 import * as browser from './browser.js';
+import { startStaticServer, readLocalManifest, readLocalText } from './local.js';
+import * as exportStore from './exports.js';
+import { analyzeToolpath, parseToolpath } from './toolpath.js';
+import { renderPng, renderSvg, legend } from './render.js';
+import * as recipes from './recipes.js';
+import * as programLibrary from './programs.js';
+import * as machineLimits from './limits.js';
+import * as materialPresets from './materials.js';
+import { parseTask, matchMachine, readDesignSize } from './capabilities.js';
+import { describeParams, convertValue } from './params.js';
+import { splitEndpoint, checkLink, layeredLayout } from './wiring.js';
+import { normalizeProgram, diffPrograms } from './diff.js';
+import * as jobs from './jobs.js';
+import * as catalogCache from './cache.js';
+import { startHttpServer } from './http.js';
+import { searchModules } from './search.js';
+import { planPipelines } from './planner.js';
+import { WORKFLOWS, findWorkflowMachine, matchPrograms, buildWorkflowPrompt } from './prompts.js';
 
 // --- CLI ---
 const args = process.argv.slice(2);
 let modsUrl = 'https://modsproject.org';
 let headless = false;
+let modsDir = null;
+let localPort = 8081;
+let cacheTtlHours = catalogCache.DEFAULT_TTL_HOURS;
+let httpPort = null;
+let httpHost = '127.0.0.1';
+let httpToken = process.env.MOPS_TOKEN || null;
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--mods-url' && args[i + 1]) {
     modsUrl = args[i + 1];
     i++;
   }
   if (args[i] === '--headless') headless = true;
+  if (args[i] === '--local') {
+    modsDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'mods');
+    if (args[i + 1] && !args[i + 1].startsWith('--')) {
+      modsDir = args[i + 1];
+      i++;
+    }
+  }
+  if (args[i] === '--local-port' && args[i + 1]) {
+    localPort = parseInt(args[i + 1], 10);
+    i++;
+  }
+  if (args[i] === '--cache-ttl' && args[i + 1]) {
+    cacheTtlHours = parseFloat(args[i + 1]);
+    i++;
+  }
+  if (args[i] === '--http' && args[i + 1]) {
+    httpPort = parseInt(args[i + 1], 10);
+    i++;
+  }
+  if (args[i] === '--http-host' && args[i + 1]) {
+    httpHost = args[i + 1];
+    i++;
+  }
+  if (args[i] === '--token' && args[i + 1]) {
+    httpToken = args[i + 1];
+    i++;
+  }
 }
 modsUrl = modsUrl.replace(/\/+$/, '');
+if (modsDir) modsDir = resolve(modsDir);
+let localServer = null;
+let httpServer = null;
+
+// --- Mods source (remote deployment or local checkout) ---
+async function readModsText(relPath) {
+  if (modsDir) return readLocalText(modsDir, relPath);
+  return (await fetchModsText(relPath)).text;
+}
+
+// Conditional GET against the remote deployment: { notModified } when the ETag still matches
+async function fetchModsText(relPath, etag) {
+  const url = `${modsUrl}/${relPath}`;
+  const res = await fetch(url, { headers: etag ? { 'If-None-Match': etag } : {} });
+  if (res.status === 304 && etag) return { notModified: true, etag };
+  if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+  return { text: await res.text(), etag: res.headers.get('etag') };
+}
 
 // --- Manifest cache ---
+// Remote manifests are kept in ~/.mops/cache and revalidated by ETag once older than the TTL.
+// When the host is unreachable the cached copy is served and the catalog is reported as degraded.
 let modulesManifest = null;
 let programsManifest = null;
+const catalogStatus = { modules: null, programs: null };
+
+function cacheTtlMs() {
+  return cacheTtlHours * 60 * 60 * 1000;
+}
 
-async function fetchManifest(type) {
+// force skips the TTL (but still sends the ETag)
+async function fetchManifest(type, { force = false } = {}) {
+  if (modsDir) return { data: await readLocalManifest(modsDir, type), origin: 'local', fetchedAt: Date.now() };
+  const cached = await catalogCache.readCache(modsUrl, type);
+  if (!force && catalogCache.isFresh(cached, cacheTtlMs())) return { data: cached.data, origin: 'cache', fetchedAt: cached.fetchedAt };
   const url = `${modsUrl}/${type}/index.json`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
-  return res.json();
+  let data, etag;
+  try {
+    const res = await fetch(url, { headers: cached && cached.etag ? { 'If-None-Match': cached.etag } : {} });
+    if (res.status === 304 && cached) ({ data, etag } = cached);
+    else if (res.ok) [data, etag] = [await res.json(), res.headers.get('etag')];
+    else throw new Error(`Failed to fetch ${url}: ${res.status}`);
+  } catch (err) {
+    if (!cached) throw err;
+    return { data: cached.data, origin: 'cache', fetchedAt: cached.fetchedAt, error: err.message };
+  }
+  // The host answered; failing to write the cache (e.g., read-only ~/.mops) is not a reason to go degraded
+  const fetchedAt = Date.now();
+  await catalogCache.writeCache(modsUrl, type, { data, etag, fetchedAt })
+    .catch(err => console.error(`[mops] Could not cache the ${type} manifest: ${err.message}`));
+  return { data, origin: 'network', fetchedAt };
 }
 
-async function getModulesManifest() {
-  if (!modulesManifest) {
-    const raw = await fetchManifest('modules');
-    modulesManifest = raw.map(m => ({ ...m, path: decodeURIComponent(m.path) }));
+async function loadManifest(type, options) {
+  try {
+    const { data, ...status } = await fetchManifest(type, options);
+    catalogStatus[type] = status;
+    if (status.error) {
+      console.error(`[mops] ${modsUrl} unreachable (${status.error}); using the ${type} manifest cached at ${new Date(status.fetchedAt).toISOString()}`);
+    }
+    return data.map(m => ({ ...m, path: decodeURIComponent(m.path) }));
+  } catch (err) {
+    catalogStatus[type] = { origin: null, error: err.message };
+    throw err;
   }
+}
+
+async function getModulesManifest() {
+  if (!modulesManifest) modulesManifest = await loadManifest('modules');
   return modulesManifest;
 }
 
 async function getProgramsManifest() {
-  if (!programsManifest) {
-    const raw = await fetchManifest('programs');
-    programsManifest = raw.map(p => ({ ...p, path: decodeURIComponent(p.path) }));
-  }
+  if (!programsManifest) programsManifest = await loadManifest('programs');
   return programsManifest;
 }
 
+function describeCatalog() {
+  const describe = (status) => {
+    if (!status) return 'not loaded';
+    const entry = { origin: status.origin, fetchedAt: status.fetchedAt ? new Date(status.fetchedAt).toISOString() : null };
+    if (status.error) entry.error = status.error;
+    return entry;
+  };
+  return {
+    degraded: Object.values(catalogStatus).some(s => s && s.error),
+    cacheTtlHours,
+    modules: describe(catalogStatus.modules),
+    programs: describe(catalogStatus.programs)
+  };
+}
+
 function groupByCategory(items) {
   const groups = {};
   for (const item of items) {
@@ -132,11 +250,28 @@ function extractWithRegex(source) {
   return { name, inputs, outputs };
 }
 
+// Parsed info of remote modules is cached like the manifests; a stale entry is revalidated by ETag
 async function parseModule(modulePath, includeSource) {
-  const url = `${modsUrl}/${modulePath}`;
-  const res = await fetch(url);
-  if (!res.ok) return { path: modulePath, error: `HTTP ${res.status} fetching ${url}`, parseMethod: 'failed' };
-  const source = await res.text();
+  const cacheKey = `module-info/${modulePath}`;
+  const cached = modsDir ? null : await catalogCache.readCache(modsUrl, cacheKey);
+  if (cached && !includeSource && catalogCache.isFresh(cached, cacheTtlMs())) return cached.data;
+
+  let source, etag = null;
+  try {
+    if (modsDir) {
+      source = await readLocalText(modsDir, modulePath);
+    } else {
+      const fetched = await fetchModsText(modulePath, includeSource || !cached ? null : cached.etag);
+      if (fetched.notModified) {
+        await catalogCache.writeCache(modsUrl, cacheKey, { data: cached.data, etag: cached.etag }).catch(() => {});
+        return cached.data;
+      }
+      ({ text: source, etag } = fetched);
+    }
+  } catch (err) {
+    if (cached && !includeSource) return { ...cached.data, stale: true };
+    return { path: modulePath, error: err.message, parseMethod: 'failed' };
+  }
 
   let name, inputs, outputs, parseMethod = 'vm';
   try {
@@ -159,18 +294,178 @@ async function parseModule(modulePath, includeSource) {
   }
 
   const info = { name, path: modulePath, inputs, outputs, parseMethod };
+  if (!modsDir) await catalogCache.writeCache(modsUrl, cacheKey, { data: info, etag }).catch(() => {});
   if (includeSource) info.source = source;
   return info;
 }
 
+// --- Module index ---
+// Ports of every module in the manifest for search_modules; parsed info comes through the module-info cache
+const INDEX_CONCURRENCY = 8;
+let moduleIndex = null;
+
+function getModuleIndex() {
+  if (!moduleIndex) {
+    moduleIndex = (async () => {
+      const manifest = await getModulesManifest();
+      const index = new Array(manifest.length);
+      let next = 0;
+      const worker = async () => {
+        while (next < manifest.length) {
+          const i = next++;
+          const info = await parseModule(manifest[i].path, false);
+          index[i] = { path: manifest[i].path, name: info.name || manifest[i].name, category: manifest[i].category, inputs: info.inputs || {}, outputs: info.outputs || {} };
+          if (info.error) index[i].error = info.error;
+        }
+      };
+      await Promise.all(Array.from({ length: INDEX_CONCURRENCY }, worker));
+      return index;
+    })().catch((err) => {
+      moduleIndex = null;
+      throw err;
+    });
+  }
+  return moduleIndex;
+}
+
 // --- State ---
-let loadedProgram = null;
+// Per browser session: loaded program, last input ({ path, module, sha256 }), last triggered action, files output by
+// modules (outputJobs) and what each device channel is sending (outputStreams), and the profile machine it drives: the one its
+// program runs (programMachine), else the one it was launched for (launchedFor)
+const sessionStates = new Map();
+
+function sessionState(session = browser.DEFAULT_SESSION) {
+  if (!sessionStates.has(session)) {
+    sessionStates.set(session, { loadedProgram: null, lastInput: null, lastTrigger: null, outputJobs: [], outputStreams: new Map(), blockedOutputs: [], outputWarnings: [], programMachine: null, launchedFor: null });
+  }
+  return sessionStates.get(session);
+}
+
+const sessionArg = z.string().optional().default(browser.DEFAULT_SESSION)
+  .describe('Browser session name, to work on several programs at once (default: "default", which over HTTP is a session of your own)');
+
+// Over HTTP every client gets its own "default" session, so one assistant's load → set → trigger steps
+// cannot be split by another's; other sessions are shared by name
+function clientSession(session, mcpSessionId) {
+  return session === browser.DEFAULT_SESSION && mcpSessionId ? `client-${mcpSessionId.slice(0, 8)}` : session;
+}
+
+function notLaunched(session) {
+  const text = session === browser.DEFAULT_SESSION
+    ? 'Error: Browser not launched. Use launch_browser first.'
+    : `Error: Browser session "${session}" not launched. Use launch_browser with session "${session}" first.`;
+  return { content: [{ type: 'text', text }], isError: true };
+}
+
+// --- MCP servers ---
+// Tools, resources and prompts are declared once on `mcpServer` and set up on a fresh McpServer for
+// each client: the stdio client, or every Streamable HTTP session. All clients share the browser.
+const declarations = [];
+const clients = new Set();
 
-// --- MCP Server ---
-const mcpServer = new McpServer({ name: 'mops', version: '0.2.0' });
+// Tools acting on a browser session run one at a time per session and per profile machine it drives,
+// so two sessions cannot drive the same device at once; read-only tools are not queued
+const UNQUEUED_TOOLS = new Set([
+  'get_server_status', 'list_exports', 'list_jobs', 'get_browser_logs', 'get_device_capture',
+  'get_program_state', 'list_devices', 'screenshot', 'wait_for_completion'
+]);
+const queues = new Map();
 
-async function findModule(moduleName, moduleId) {
-  const state = await browser.getProgramState();
+function queueKeys(session) {
+  const { programMachine, launchedFor } = sessionState(session);
+  const machine = programMachine || launchedFor;
+  return machine ? [`session:${session}`, `machine:${machine.toLowerCase()}`] : [`session:${session}`];
+}
+
+// fn starts once every queue in keys is free and holds all of them until it settles
+function serialized(keys, fn) {
+  const run = Promise.all(keys.map(key => queues.get(key))).then(fn, fn);
+  const tail = run.catch(() => {});
+  for (const key of keys) queues.set(key, tail);
+  tail.then(() => {
+    for (const key of keys) if (queues.get(key) === tail) queues.delete(key);
+  });
+  return run;
+}
+
+const mcpServer = {
+  tool(name, description, schema, handler) {
+    const queued = schema.session && !UNQUEUED_TOOLS.has(name);
+    const run = !schema.session ? handler : (args, extra) => {
+      args = { ...args, session: clientSession(args.session, extra.sessionId) };
+      return queued ? serialized(queueKeys(args.session), () => handler(args, extra)) : handler(args, extra);
+    };
+    declarations.push(server => server.tool(name, description, schema, run));
+  },
+  resource: (...args) => declarations.push(server => server.resource(...args)),
+  prompt: (...args) => declarations.push(server => server.prompt(...args))
+};
+
+function resourceKey(uri) {
+  try { return new URL(uri).href; } catch { return uri; }
+}
+
+// Over HTTP, mods://state/default is the state of the client's own session (see clientSession)
+function clientResourceKey(uri, mcpSessionId) {
+  const key = resourceKey(uri);
+  return key === resourceKey(stateResourceUri()) ? resourceKey(stateResourceUri(clientSession(browser.DEFAULT_SESSION, mcpSessionId))) : key;
+}
+
+// Each client has its own resource subscriptions; updates are only sent for subscribed URIs
+function createMcpServer() {
+  const server = new McpServer({ name: 'mops', version: '0.2.0' });
+  const client = { server, subscriptions: new Set() };
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async ({ params }, extra) => {
+    client.subscriptions.add(clientResourceKey(params.uri, extra.sessionId));
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }, extra) => {
+    client.subscriptions.delete(clientResourceKey(params.uri, extra.sessionId));
+    return {};
+  });
+  for (const declare of declarations) declare(server);
+  // The transport is gone by the time onclose runs, so keep its MCP session ID from initialization
+  server.server.oninitialized = () => { client.sessionId = server.server.transport.sessionId; };
+  server.server.onclose = () => {
+    clients.delete(client);
+    if (client.sessionId) closeClientSession(clientSession(browser.DEFAULT_SESSION, client.sessionId));
+  };
+  clients.add(client);
+  return server;
+}
+
+// An HTTP client's own browser session ends with its MCP session, once the calls already queued on it are done
+function closeClientSession(session) {
+  serialized(queueKeys(session), async () => {
+    sessionStates.delete(session);
+    if (await browser.close(session)) resourceListChanged();
+  }).catch(err => console.error(`[mops] Failed to close browser session "${session}": ${err.message}`));
+}
+
+function notifyResourceUpdated(...uris) {
+  for (const uri of uris.map(resourceKey)) {
+    for (const { server, subscriptions } of clients) {
+      if (subscriptions.has(uri)) server.server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  }
+}
+
+function resourceListChanged() {
+  for (const { server } of clients) server.sendResourceListChanged();
+}
+
+function stateResourceUri(session = browser.DEFAULT_SESSION) {
+  return `mods://state/${encodeURIComponent(session)}`;
+}
+
+// The live program of a session changed (program loaded, parameters set, input loaded, action run)
+function stateChanged(session) {
+  notifyResourceUpdated(stateResourceUri(session));
+}
+
+async function findModule(moduleName, moduleId, state, session) {
+  if (!state) state = await browser.getProgramState(session);
   if (moduleId) {
     const mod = state.find(m => m.id === moduleId);
     return mod ? { module: mod } : { error: `Module with ID "${moduleId}" not found.` };
@@ -209,24 +504,501 @@ async function loadProfile() {
 async function saveProfile(profile) {
   await mkdir(PROFILE_DIR, { recursive: true });
   await writeFile(PROFILE_PATH, JSON.stringify(profile, null, 2));
+  notifyResourceUpdated('mods://profile');
+}
+
+// Profile machine that runs the loaded program: exact program match first, then machine name keywords in the path
+// Record the program a session now runs and the machine it drives
+async function programLoaded(label, session) {
+  const state = sessionState(session);
+  state.loadedProgram = label;
+  const machine = findProgramMachine(await loadProfile(), session);
+  state.programMachine = machine ? machine.name : null;
+  stateChanged(session);
+}
+
+function findProgramMachine(profile, session) {
+  const { loadedProgram } = sessionState(session);
+  if (!loadedProgram) return null;
+  const exact = profile.machines.find(m => m.program && m.program === loadedProgram);
+  if (exact) return exact;
+  const path = loadedProgram.toLowerCase();
+  return profile.machines.find(m => {
+    const keywords = m.name.toLowerCase().split(/[\s-]+/).filter(w => w.length > 1);
+    return keywords.length > 0 && keywords.filter(kw => path.includes(kw)).length >= Math.min(2, keywords.length);
+  }) || null;
+}
+
+// --- Export persistence ---
+async function persistDownload(download, session) {
+  const profile = await loadProfile();
+  const prefs = profile.preferences || {};
+  const machine = findProgramMachine(profile, session);
+  const { loadedProgram, lastInput } = sessionState(session);
+  const record = await exportStore.saveExport(download, {
+    directory: prefs.output_directory ? prefs.output_directory.replace(/^~(?=$|\/)/, homedir()) : undefined,
+    template: prefs.export_filename_template,
+    machine: machine ? machine.name : null,
+    program: loadedProgram,
+    inputFile: lastInput ? lastInput.path : null,
+    session
+  });
+  if (machine && machine.limits && download.content) {
+    try {
+      const { moves } = parseToolpath(download.content.toString('latin1'), {
+        filename: download.suggestedFilename, format: machineLimits.formatForMachine(machine) || 'auto'
+      });
+      record.limitViolations = machineLimits.checkMoves(machine.limits, moves);
+    } catch { /* not a toolpath we can parse */ }
+  }
+  return record;
+}
+
+// --- Job log ---
+// Every completed export is logged with the program, parameters, input and action that produced it
+async function logJob(download, record, failure, session) {
+  const state = sessionState(session);
+  const machine = findProgramMachine(await loadProfile(), session);
+  const programSnapshot = await browser.extractProgramState(session).catch(() => null);
+  const modules = await browser.getProgramState(session).catch(() => []);
+  const errors = [];
+  if (failure) errors.push(`Export not saved: ${failure.message}`);
+  if (record && record.limitViolations) errors.push(...record.limitViolations.map(v => `Limit violation: ${v}`));
+  const trigger = state.lastTrigger;
+  const job = {
+    id: jobs.newJobId(download.timestamp),
+    session,
+    program: state.loadedProgram,
+    machine: machine ? machine.name : null,
+    input: state.lastInput,
+    action: trigger ? { module_name: trigger.module_name, action: trigger.action } : null,
+    output: {
+      filename: download.suggestedFilename,
+      size: download.size,
+      exportId: record ? record.id : null,
+      path: record ? record.path : null
+    },
+    startedAt: trigger && trigger.startedAt <= download.timestamp ? new Date(trigger.startedAt).toISOString() : null,
+    completedAt: new Date(download.timestamp).toISOString(),
+    errors,
+    parameters: modules.map(m => ({ id: m.id, name: m.name, params: m.params })),
+    programSnapshot
+  };
+  await jobs.saveJob(job);
+  return job.id;
+}
+
+// Save the export, then log the job; a failed save is still logged before the error reaches the browser
+async function handleDownload(download, session) {
+  let record = null, failure = null;
+  try {
+    record = await persistDownload(download, session);
+  } catch (err) {
+    failure = err;
+  }
+  const jobId = await logJob(download, record, failure, session).catch(err => {
+    console.error(`[mops] Failed to log job for ${download.suggestedFilename}: ${err.message}`);
+    return null;
+  });
+  if (failure) throw failure;
+  notifyResourceUpdated('mods://export/latest', 'mods://exports');
+  resourceListChanged();
+  return jobId ? { ...record, jobId } : record;
+}
+
+browser.setDownloadHandler(handleDownload);
+
+// Resolve an export by file path, saved export ID/filename, or the session's latest download
+// (from memory, else the newest export saved from that session)
+async function readToolpathSource(id, filePath, session) {
+  if (filePath) return { filename: filePath, content: await readFile(filePath) };
+  if (!id) {
+    const download = browser.getLatestDownload(session);
+    if (download && download.content) return { filename: download.suggestedFilename, content: download.content };
+    const latest = (await exportStore.listExports()).find(e => (e.session || browser.DEFAULT_SESSION) === session);
+    if (!latest) return null;
+    id = latest.id;
+  }
+  const found = await exportStore.readExport(id);
+  return found ? { filename: found.record.suggestedFilename || found.record.filename, content: found.content } : null;
+}
+
+function summarizeDownload(download) {
+  const summary = { filename: download.suggestedFilename, size: download.size };
+  if (download.id) summary.id = download.id;
+  if (download.jobId) summary.jobId = download.jobId;
+  if (download.path) summary.savedTo = download.path;
+  if (download.saveError) summary.saveError = download.saveError;
+  if (download.limitViolations && download.limitViolations.length > 0) summary.limitViolations = download.limitViolations;
+  return summary;
+}
+
+// --- Machine output guard ---
+// Every file a module outputs is kept as a job. Device writes must replay one of those jobs from its start,
+// and the whole job is checked against the machine's limits before its first byte is let through.
+const OUTPUT_JOB_LIMIT = 5;
+
+function registerMachineOutput(filename, bytes, session) {
+  const { outputJobs } = sessionState(session);
+  outputJobs.push({ filename, bytes, verdicts: new Map() });
+  if (outputJobs.length > OUTPUT_JOB_LIMIT) outputJobs.shift();
+}
+
+function continuesJob(job, bytes, offset) {
+  return offset + bytes.length <= job.bytes.length && job.bytes.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+async function checkMachineOutput(channel, bytes, session) {
+  const state = sessionState(session);
+  const stream = state.outputStreams.get(channel);
+  if (stream && continuesJob(stream.job, bytes, stream.offset)) {
+    stream.offset += bytes.length;
+    return { allowed: stream.verdict.allowed, reason: stream.verdict.violations.join('; ') };
+  }
+
+  const machine = findProgramMachine(await loadProfile(), session);
+  if (!machine || !machine.limits) {
+    state.outputStreams.delete(channel);
+    return { allowed: true };
+  }
+  const job = [...state.outputJobs].reverse().find(j => continuesJob(j, bytes, 0));
+  let verdict;
+  if (!job) {
+    state.outputStreams.delete(channel);
+    verdict = { allowed: false, violations: ['Output does not start a file produced by the loaded program, so it could not be checked before sending'] };
+  } else {
+    if (!job.verdicts.has(machine.name)) {
+      job.verdicts.set(machine.name, machineLimits.checkJob(machine.limits, job.bytes.toString('latin1'), {
+        format: machineLimits.formatForMachine(machine), filename: job.filename
+      }));
+    }
+    verdict = job.verdicts.get(machine.name);
+    state.outputStreams.set(channel, { job, verdict, offset: bytes.length });
+  }
+  if (verdict.violations.length > 0) {
+    const entry = { channel, machine: machine.name, file: job ? job.filename : null, violations: verdict.violations, timestamp: Date.now() };
+    console.error(`[mops] ${verdict.allowed ? 'Limit warning' : 'Blocked output'} (${session}: ${channel} → ${machine.name}): ${verdict.violations.join('; ')}`);
+    (verdict.allowed ? state.outputWarnings : state.blockedOutputs).push(entry);
+  }
+  return { allowed: verdict.allowed, reason: verdict.violations.join('; ') };
+}
+
+browser.setOutputGuard({ register: registerMachineOutput, check: checkMachineOutput });
+
+// --- Workflow actions (shared by tools and recipes) ---
+const DEFAULT_ACTION_TIMEOUT_MS = 30000;
+
+function summarizeModules(state) {
+  return state.map(m => ({ id: m.id, name: m.name, paramCount: m.params.length, buttons: m.buttons }));
+}
+
+// Errors the page logged after a log cursor, to attach to the result of the action that caused them
+const MAX_ATTACHED_ERRORS = 10;
+
+function browserErrorsSince(cursor, session) {
+  return browser.getLogs({ since: cursor, level: 'error', limit: MAX_ATTACHED_ERRORS }, session)
+    .map(({ source, text, location }) => (location ? { source, text, location } : { source, text }));
+}
+
+function attachBrowserErrors(result, cursor, session) {
+  const errors = browserErrorsSince(cursor, session);
+  if (errors.length > 0) result.browserErrors = errors;
+  return result;
+}
+
+// src preloads through the ?program= URL, which only presets have
+const SRC_PRESETS_ONLY = 'src only works with preset programs; open the program, then load the file with load_file';
+
+async function openProgram(path, src, session) {
+  if (path.startsWith(programLibrary.SAVED_PREFIX)) {
+    if (src) throw new Error(SRC_PRESETS_ONLY);
+    const saved = await programLibrary.loadSavedProgram(path.slice(programLibrary.SAVED_PREFIX.length));
+    return openProgramData(saved, path, session);
+  }
+  const cursor = browser.getLogCursor(session);
+  await browser.loadProgram(modsUrl, path, src, session);
+  await programLoaded(path, session);
+  const state = await browser.getProgramState(session);
+  const result = { loaded: path, modules: summarizeModules(state) };
+  if (src) result.src = src;
+  return attachBrowserErrors(result, cursor, session);
+}
+
+// Inject a saved program and reapply its parameter snapshot, matching modules by ID, then by name
+async function openProgramData(data, label, session) {
+  const cursor = browser.getLogCursor(session);
+  await browser.injectProgram(data.program, session);
+  await programLoaded(label, session);
+  const result = { loaded: label };
+  if (data.parameters && data.parameters.length > 0) Object.assign(result, await restoreParameters(data.parameters, session));
+  result.modules = summarizeModules(await browser.getProgramState(session));
+  return attachBrowserErrors(result, cursor, session);
+}
+
+// Reapply a parameter snapshot ([{ id, name, params }]) to the loaded program, matching modules by ID, then by name
+async function restoreParameters(parameters, session) {
+  const state = await browser.getProgramState(session);
+  const unused = new Set(state.map(m => m.id));
+  const targets = [];
+  for (const entry of parameters) {
+    let target = unused.has(entry.id) ? entry.id : null;
+    if (!target) {
+      const byName = state.find(m => unused.has(m.id) && m.name === entry.name);
+      if (byName) target = byName.id;
+    }
+    if (target) unused.delete(target);
+    targets.push({ ...entry, id: target || entry.id });
+  }
+  const restored = await browser.restoreModuleInputs(targets, session);
+  stateChanged(session);
+  const result = { restoredParameters: restored.applied.length };
+  if (restored.missing.length > 0) result.missingModules = restored.missing;
+  return result;
+}
+
+// Module sources rarely change during a session; cache them for parameter descriptions
+const moduleSources = new Map();
+
+async function moduleSource(path) {
+  if (!path) return null;
+  if (!moduleSources.has(path)) moduleSources.set(path, await readModsText(path).catch(() => null));
+  return moduleSources.get(path);
+}
+
+// Program state with each parameter typed: owning module path, unit, and default/min/max where knowable
+async function describeProgramState(state, session) {
+  const program = await browser.extractProgramState(session).catch(() => null);
+  const modules = (program && program.modules) || {};
+  const described = [];
+  for (const m of state) {
+    const path = modules[m.id] ? modules[m.id].module || modules[m.id].filename || null : null;
+    described.push({ ...m, path, params: describeParams(m.params, { path, source: await moduleSource(path) }) });
+  }
+  return described;
+}
+
+// Validate one change against a described module without touching the page:
+// values with units ("0.4mm", "1/64in") are converted, then checked against the machine's limits
+function prepareParameter(module, parameter, value, machine) {
+  const param = module.params.find(p => p.label.includes(parameter));
+  const conversion = convertValue(value, param ? param.unit : null);
+  if (conversion.error) return { error: param ? `"${param.label}": ${conversion.error}` : conversion.error };
+  const prepared = { moduleId: module.id, paramName: parameter, value: conversion.value };
+  if (conversion.converted) prepared.converted = conversion.converted;
+
+  if (machine && machine.limits) {
+    const label = param ? [param.heading, param.label, param.unit && `(${param.unit})`].filter(Boolean).join(' ') : parameter;
+    const check = machineLimits.checkParameter(machine.limits, label, prepared.value);
+    if (check && check.violations.length > 0) {
+      if (machineLimits.enforcement(machine.limits) === 'reject') {
+        return { error: `Rejected by ${machine.name} limits: ${check.violations.join('; ')}`, limitViolations: check.violations };
+      }
+      prepared.warnings = check.violations.map(v => `${machine.name} limits: ${v}`);
+    }
+  }
+  return prepared;
+}
+
+async function applyParameter(module_name, parameter, value, session) {
+  const { name, id } = parseModuleNameId(module_name);
+  const found = await findModule(name, id, null, session);
+  if (found.error) return { error: found.error };
+  const [module] = await describeProgramState([found.module], session);
+  const prepared = prepareParameter(module, parameter, value, findProgramMachine(await loadProfile(), session));
+  if (prepared.error) return prepared;
+  const result = await browser.setModuleInput(found.module.id, parameter, prepared.value, session);
+  if (!result.error) stateChanged(session);
+  if (prepared.converted && !result.error) result.converted = prepared.converted;
+  if (prepared.warnings) result.warnings = prepared.warnings;
+  return result;
+}
+
+// Validate every change first, then apply them all in one page evaluation; any failure rolls all of them back
+async function applyParameters(changes, session) {
+  const state = await browser.getProgramState(session);
+  const machine = findProgramMachine(await loadProfile(), session);
+  const described = new Map();
+  const prepared = [];
+  const errors = [];
+  for (const [index, change] of changes.entries()) {
+    const { name, id } = parseModuleNameId(change.module_name);
+    const found = await findModule(name, id, state, session);
+    if (found.error) { errors.push({ index, module_name: change.module_name, parameter: change.parameter, error: found.error }); continue; }
+    if (!described.has(found.module.id)) described.set(found.module.id, (await describeProgramState([found.module], session))[0]);
+    const result = prepareParameter(described.get(found.module.id), change.parameter, change.value, machine);
+    if (result.error) errors.push({ index, module_name: change.module_name, parameter: change.parameter, error: result.error });
+    else prepared.push({ ...result, index, module: found.module.name });
+  }
+  if (errors.length > 0) {
+    return { error: `${errors.length} of ${changes.length} change(s) failed validation; nothing was applied`, errors };
+  }
+
+  const applied = await browser.setModuleInputs(prepared.map(({ moduleId, paramName, value }) => ({ moduleId, paramName, value })), session);
+  if (!applied.success) {
+    const failures = applied.errors.map(e => ({ ...e, module_name: changes[e.index].module_name, parameter: changes[e.index].parameter }));
+    return {
+      error: applied.rolledBack ? 'A change failed to apply; all values were rolled back' : `${failures.length} change(s) could not be resolved; nothing was applied`,
+      errors: failures, rolledBack: applied.rolledBack
+    };
+  }
+  stateChanged(session);
+  const diff = applied.changes.map((c, i) => {
+    const entry = { module: prepared[i].module, moduleId: prepared[i].moduleId, parameter: c.label, before: c.before, after: c.after };
+    if (prepared[i].converted) entry.converted = prepared[i].converted;
+    return entry;
+  });
+  const result = { success: true, applied: diff.length, diff };
+  const warnings = prepared.flatMap(p => p.warnings || []);
+  if (warnings.length > 0) result.warnings = warnings;
+  return result;
+}
+
+// The session's lastTrigger is the baseline for wait_for_completion: what had already happened when the action was triggered
+async function awaitCompletion(result, { timeoutMs = DEFAULT_ACTION_TIMEOUT_MS, waitFor = 'auto' } = {}, session) {
+  const { lastTrigger, blockedOutputs, outputWarnings } = sessionState(session);
+  const completion = await browser.waitForCompletion({
+    timeoutMs, requireDownload: waitFor === 'download', downloadsBefore: lastTrigger.downloads
+  }, session);
+  result.status = completion.status;
+  result.elapsedMs = Date.now() - lastTrigger.startedAt;
+  if (completion.waitingFor) {
+    result.waitingFor = completion.waitingFor;
+    result.hint = 'Still running. Call wait_for_completion to keep waiting.';
+  }
+  const newDownloads = browser.getDownloads(session).slice(lastTrigger.downloads);
+  if (newDownloads.length > 0) result.download = summarizeDownload(newDownloads[newDownloads.length - 1]);
+  if (newDownloads.length > 1) result.downloads = newDownloads.map(summarizeDownload);
+  if (blockedOutputs.length > lastTrigger.blocked) result.blockedOutput = blockedOutputs.slice(lastTrigger.blocked);
+  if (outputWarnings.length > lastTrigger.warned) result.outputWarnings = outputWarnings.slice(lastTrigger.warned);
+  attachBrowserErrors(result, lastTrigger.logCursor, session);
+  if (result.browserErrors && newDownloads.length === 0 && completion.status === 'finished') {
+    result.hint = 'The page reported errors and no file was produced; the action probably failed. See browserErrors, or get_browser_logs for the full log.';
+  }
+  return result;
+}
+
+async function triggerModuleAction(module_name, action, options = {}, session) {
+  const { name, id } = parseModuleNameId(module_name);
+  const found = await findModule(name, id, null, session);
+  if (found.error) return { error: found.error };
+  const state = sessionState(session);
+  state.lastTrigger = {
+    module_name, action, downloads: browser.getDownloads(session).length, blocked: state.blockedOutputs.length,
+    warned: state.outputWarnings.length, logCursor: browser.getLogCursor(session), startedAt: Date.now()
+  };
+  const result = await browser.clickModuleButton(found.module.id, action, session);
+  if (result.error) return result;
+  const completed = await awaitCompletion(result, options, session);
+  stateChanged(session);
+  return completed;
+}
+
+async function loadInputFile(module_name, file_path, session) {
+  try { await stat(file_path); } catch {
+    return { error: `File not found: ${file_path}` };
+  }
+  sessionState(session).lastInput = { path: resolve(file_path), module_name, sha256: await jobs.hashFile(file_path) };
+  const cursor = browser.getLogCursor(session);
+  const ext = extname(file_path).toLowerCase();
+  let result;
+  if (ext === '.svg' || ext === '.png') {
+    result = await browser.postMessageFile(file_path, session);
+  } else {
+    const { name, id } = parseModuleNameId(module_name);
+    const found = await findModule(name, id, null, session);
+    if (found.error) return { error: found.error };
+    result = await browser.setModuleFile(found.module.id, file_path, session);
+  }
+  stateChanged(session);
+  return attachBrowserErrors(result, cursor, session);
+}
+
+// Reload a logged job: its program (or the snapshot taken with it), its parameters and its input file
+async function rerunJob(job, { trigger = false } = {}, session) {
+  const result = { job: job.id };
+  const warnings = [];
+  let opened = null;
+  if (job.program && !job.program.startsWith('custom') && !job.program.startsWith('job:')) {
+    try {
+      opened = job.program.startsWith('file:')
+        ? await openProgramData(await programLibrary.readProgramFile(job.program.slice('file:'.length)), job.program, session)
+        : await openProgram(job.program, undefined, session);
+    } catch (err) {
+      if (!job.programSnapshot) return { error: `Could not reload ${job.program}: ${err.message}` };
+      warnings.push(`Could not reload ${job.program} (${err.message}); used the program snapshot from the job`);
+    }
+  }
+  if (!opened) {
+    if (!job.programSnapshot) return { error: 'The job has neither a program path nor a program snapshot' };
+    opened = await openProgramData({ program: job.programSnapshot, parameters: [] }, job.program || `job:${job.id}`, session);
+  }
+  result.loaded = opened.loaded;
+  Object.assign(result, await restoreParameters(job.parameters || [], session));
+
+  if (job.input) {
+    const hash = await jobs.hashFile(job.input.path).catch(() => null);
+    if (!hash) return { ...result, error: `Input file no longer exists: ${job.input.path}` };
+    if (hash !== job.input.sha256) warnings.push(`Input file ${job.input.path} has changed since the job ran`);
+    const loaded = await loadInputFile(job.input.module_name, job.input.path, session);
+    if (loaded.error) return { ...result, error: `Could not reload input: ${loaded.error}` };
+    result.input = job.input.path;
+  }
+
+  if (trigger) {
+    if (!job.action) warnings.push('The job has no recorded action to trigger');
+    else {
+      result.trigger = await triggerModuleAction(job.action.module_name, job.action.action, {}, session);
+      if (result.trigger.error) result.error = `Could not trigger "${job.action.action}": ${result.trigger.error}`;
+    }
+  }
+  if (warnings.length > 0) result.warnings = warnings;
+  return result;
+}
+
+// Step handlers available to recipes, keyed by the tool name they mirror, bound to one browser session
+function recipeActions(session) {
+  return {
+    load_program: ({ path, src }) => openProgram(path, src, session),
+    set_parameter: ({ module_name, parameter, value }) => applyParameter(module_name, parameter, value, session),
+    set_parameters: ({ changes }) => applyParameters(changes, session),
+    trigger_action: async ({ module_name, action, timeout_ms, wait_for }) => {
+      const result = await triggerModuleAction(module_name, action, { timeoutMs: timeout_ms, waitFor: wait_for }, session);
+      if (result.status === 'running') result.error = `Still running after ${result.elapsedMs} ms (waiting for ${result.waitingFor.join(', ')})`;
+      return result;
+    },
+    load_file: ({ module_name, file_path }) => loadInputFile(module_name, file_path, session),
+    export_file: async () => {
+      const download = browser.getLatestDownload(session);
+      return download ? summarizeDownload(download) : { error: 'No file exported yet' };
+    },
+    wait: async ({ ms }) => {
+      await new Promise(r => setTimeout(r, Number(ms) || 0));
+      return { waited: Number(ms) || 0 };
+    }
+  };
 }
 
 // --- Tools ---
 
-mcpServer.tool('get_server_status', 'Get server health, browser state, mods URL, and loaded program', {},
-  async () => {
+mcpServer.tool('get_server_status', 'Get server health, browser state, mods URL, and loaded program, plus a summary of every browser session', { session: sessionArg },
+  async ({ session }) => {
+    const { loadedProgram } = sessionState(session);
     const status = {
       server: 'running', modsUrl,
-      browser: browser.isLaunched() ? 'connected' : 'not launched',
+      source: modsDir ? `local (${modsDir})` : 'remote',
+      session,
+      browser: browser.isLaunched(session) ? 'connected' : 'not launched',
       loadedProgram: loadedProgram || 'none'
     };
-    if (browser.isLaunched() && loadedProgram) {
+    if (browser.isLaunched(session) && loadedProgram) {
       try {
-        const state = await browser.getProgramState();
+        const state = await browser.getProgramState(session);
         status.moduleCount = state.length;
         status.moduleNames = state.map(m => m.name).filter(Boolean);
       } catch { /* ignore */ }
     }
+    status.catalog = describeCatalog();
+    status.sessions = browser.listSessions().map(s => ({ ...s, loadedProgram: sessionState(s.name).loadedProgram || 'none' }));
     return { content: [{ type: 'text', text: JSON.stringify(status, null, 2) }] };
   }
 );
@@ -234,7 +1006,7 @@ mcpServer.tool('get_server_status', 'Get server health, browser state, mods URL,
 mcpServer.tool('get_profile', 'Get user profile: machines, preferences, and other saved settings', {},
   async () => {
     const profile = await loadProfile();
-    if (profile.machines.length === 0 && Object.keys(profile.preferences).length === 0) {
+    if (profile.machines.length === 0 && Object.keys(profile.preferences).length === 0 && !(profile.materials || []).length) {
       return { content: [{ type: 'text', text: 'No profile configured yet. Use update_profile to add your machines and preferences.' }] };
     }
     return { content: [{ type: 'text', text: JSON.stringify(profile, null, 2) }] };
@@ -242,22 +1014,55 @@ mcpServer.tool('get_profile', 'Get user profile: machines, preferences, and othe
 );
 
 mcpServer.tool('update_profile',
-  'Add, remove, or update machines and preferences in the user profile. Stored locally at ~/.mops/profile.json.',
+  'Add, remove, or update machines, material presets and preferences in the user profile. Stored locally at ~/.mops/profile.json.',
   {
-    action: z.enum(['add_machine', 'remove_machine', 'set_preference', 'remove_preference']).describe('What to do'),
+    action: z.enum(['add_machine', 'remove_machine', 'add_material', 'remove_material', 'set_preference', 'remove_preference']).describe('What to do'),
     machine: z.object({
       name: z.string().describe('Machine name (e.g., "Roland GX-24")'),
       type: z.string().describe('What it does (e.g., "vinyl cutter", "CNC mill", "3D printer", "laser cutter")'),
       program: z.string().optional().describe('Mods program path if known (e.g., "programs/machines/Roland/GX-24/cut vinyl")'),
       deviceName: z.string().optional().describe('USB/serial device name as shown in Chrome device picker (e.g., "Roland DG SRM-20"). Used for WebUSB/WebSerial auto-selection.'),
-      notes: z.string().optional().describe('Any extra info (e.g., "max area 24x12 inches", "in room 302")')
+      notes: z.string().optional().describe('Any extra info (e.g., "max area 24x12 inches", "in room 302")'),
+      limits: z.object({
+        workArea: z.object({
+          x: z.number().optional().describe('Travel along X in mm'),
+          y: z.number().optional().describe('Travel along Y in mm'),
+          z: z.number().optional().describe('Maximum Z height in mm')
+        }).optional().describe('Work envelope, origin at (0, 0, 0)'),
+        maxCutDepth: z.number().optional().describe('Deepest allowed cut below the surface in mm'),
+        feedRange: z.object({ min: z.number().optional(), max: z.number().optional() }).optional().describe('Allowed cutting feed in mm/s'),
+        spindleRange: z.object({ min: z.number().optional(), max: z.number().optional() }).optional().describe('Allowed spindle speed in RPM'),
+        toolDiameters: z.array(z.number()).optional().describe('Allowed tool diameters in mm (e.g., [0.4, 0.79] for 1/64" and 1/32")'),
+        enforce: z.enum(['reject', 'warn']).optional().describe('Reject out-of-limit values and block output (default), or only warn')
+      }).optional().describe('Safety limits checked by set_parameter and before output is sent to the machine'),
+      capabilities: z.object({
+        processes: z.array(z.string()).optional().describe('What it does: "vinyl", "laser", "mill", "router", "print"'),
+        materials: z.array(z.string()).optional().describe('Materials it handles (e.g., ["vinyl", "paper"], ["acrylic", "plywood", "mdf"])'),
+        workArea: z.object({
+          x: z.number().optional().describe('Usable width in mm'),
+          y: z.number().optional().describe('Usable length in mm (roll length for cutters)'),
+          z: z.number().optional().describe('Usable height in mm')
+        }).optional().describe('Largest part it takes; default: limits.workArea'),
+        formats: z.array(z.string()).optional().describe('Input file types its programs read (e.g., ["svg", "png"])')
+      }).optional().describe('Structured capabilities used by find_machine to match tasks')
     }).optional().describe('Machine details (for add_machine/remove_machine)'),
+    material: z.object({
+      name: z.string().describe('Preset name (e.g., "FR1 1/64", "acrylic 3mm", "vinyl")'),
+      machine: z.string().optional().describe('Profile machine the preset is for; one preset per name and machine'),
+      program: z.string().optional().describe('Mods program the module and parameter labels belong to'),
+      description: z.string().optional().describe('What the settings are for (e.g., "1/64\" flat end mill, traces")'),
+      settings: z.array(z.object({
+        module_name: z.string().describe('Module name (or partial match)'),
+        parameter: z.string().describe('Parameter label (or partial match)'),
+        value: z.string().describe('Value, optionally with a unit')
+      })).optional().describe('Parameter values applied by apply_material (required for add_material)')
+    }).optional().describe('Material preset (for add_material/remove_material)'),
     preference: z.object({
-      key: z.string().describe('Preference name (e.g., "default_units", "output_directory")'),
+      key: z.string().describe('Preference name (e.g., "default_units", "output_directory", "export_filename_template")'),
       value: z.string().describe('Preference value')
     }).optional().describe('Preference key-value (for set_preference/remove_preference)')
   },
-  async ({ action, machine, preference }) => {
+  async ({ action, machine, material, preference }) => {
     const profile = await loadProfile();
 
     if (action === 'add_machine') {
@@ -278,6 +1083,29 @@ mcpServer.tool('update_profile',
       return { content: [{ type: 'text', text: `Machine "${machine.name}" removed. ${profile.machines.length} machine(s) remaining.` }] };
     }
 
+    if (action === 'add_material') {
+      if (!material || !material.settings || material.settings.length === 0) {
+        return { content: [{ type: 'text', text: 'Error: material with at least one setting is required for add_material' }], isError: true };
+      }
+      if (material.machine && !profile.machines.some(m => m.name.toLowerCase() === material.machine.toLowerCase())) {
+        return { content: [{ type: 'text', text: `Machine "${material.machine}" not found in profile. Add it with add_machine first.` }], isError: true };
+      }
+      profile.materials = profile.materials || [];
+      const replaced = materialPresets.upsertMaterial(profile.materials, material);
+      await saveProfile(profile);
+      const target = material.machine ? ` for ${material.machine}` : '';
+      return { content: [{ type: 'text', text: `Material "${material.name}"${target} ${replaced ? 'updated' : 'saved'} with ${material.settings.length} setting(s).` }] };
+    }
+
+    if (action === 'remove_material') {
+      if (!material) return { content: [{ type: 'text', text: 'Error: material is required for remove_material' }], isError: true };
+      const before = (profile.materials || []).length;
+      profile.materials = materialPresets.removeMaterial(profile.materials || [], material.name, material.machine);
+      if (profile.materials.length === before) return { content: [{ type: 'text', text: `Material "${material.name}" not found in profile.` }] };
+      await saveProfile(profile);
+      return { content: [{ type: 'text', text: `Material "${material.name}" removed. ${profile.materials.length} material preset(s) remaining.` }] };
+    }
+
     if (action === 'set_preference') {
       if (!preference) return { content: [{ type: 'text', text: 'Error: preference is required for set_preference' }], isError: true };
       profile.preferences[preference.key] = preference.value;
@@ -296,27 +1124,40 @@ mcpServer.tool('update_profile',
 );
 
 mcpServer.tool('find_machine',
-  'Find the best matching machine from the user profile for a given task, and match it to an available Mods program.',
+  'Find the best matching machine from the user profile for a task, and match it to an available Mods program. Machines are ranked on their capabilities (processes, materials, work area, input formats; inferred from the machine type when not declared), taking the input file type and size into account. Each machine comes with the reasons it was chosen or rejected.',
   {
-    task: z.string().describe('What the user wants to do (e.g., "cut a sticker", "mill a PCB", "3D print a case")')
+    task: z.string().describe('What the user wants to do (e.g., "cut a 30 cm sticker", "mill a PCB", "laser-cut 3 mm acrylic")'),
+    file_path: z.string().optional().describe('Absolute path to the input file; its type and size (SVG, PNG with resolution, STL) are checked against each machine'),
+    file_type: z.string().optional().describe('Input file type when there is no file yet (e.g., "svg", "stl")')
   },
-  async ({ task }) => {
+  async ({ task, file_path, file_type }) => {
     const profile = await loadProfile();
     if (profile.machines.length === 0) {
       return { content: [{ type: 'text', text: 'No machines in profile. Use update_profile to add your machines first.' }] };
     }
     const programs = await getProgramsManifest();
-    const taskLower = task.toLowerCase();
 
-    // Build machine results with matching programs
-    const results = [];
-    for (const machine of profile.machines) {
-      const machineResult = { ...machine, matchingPrograms: [] };
+    const request = { ...parseTask(task), task, format: (file_type || (file_path ? extname(file_path) : '')).toLowerCase().replace(/^\./, '') || null };
+    if (file_path) {
+      try {
+        const size = await readDesignSize(file_path);
+        if (size) request.size = size;
+      } catch (err) {
+        return { content: [{ type: 'text', text: `Error reading ${file_path}: ${err.message}` }], isError: true };
+      }
+    }
+
+    const results = profile.machines.map(machine => {
+      const fit = matchMachine(machine, request);
+      const result = { ...machine, verdict: fit.rejected ? 'rejected' : 'match', relevanceScore: fit.score, reasons: fit.reasons };
+      if (fit.rejected) result.rejections = fit.rejections;
+      result.capabilities = fit.capabilities;
+      result.matchingPrograms = [];
 
       // If machine has a program path set, include it directly
       if (machine.program) {
         const found = programs.find(p => p.path === machine.program);
-        if (found) machineResult.matchingPrograms.push(found);
+        if (found) result.matchingPrograms.push(found);
       }
 
       // Search programs by machine name keywords
@@ -325,66 +1166,59 @@ mcpServer.tool('find_machine',
         const progPath = prog.path.toLowerCase();
         const progName = (prog.name || '').toLowerCase();
         const match = keywords.some(kw => kw.length > 2 && (progPath.includes(kw) || progName.includes(kw)));
-        if (match && !machineResult.matchingPrograms.some(p => p.path === prog.path)) {
-          machineResult.matchingPrograms.push(prog);
-        }
-      }
-      results.push(machineResult);
-    }
-
-    // Score relevance to the task
-    const taskKeywords = {
-      'sticker': ['vinyl', 'cut vinyl', 'cutter'],
-      'vinyl': ['vinyl', 'cut vinyl', 'cutter'],
-      'cut': ['cut', 'laser', 'vinyl', 'cutter'],
-      'mill': ['mill', 'pcb', 'milling', 'cnc'],
-      'pcb': ['mill', 'pcb', 'traces', 'outline'],
-      'print': ['print', '3d', 'printer'],
-      '3d': ['print', '3d', 'printer'],
-      'engrave': ['laser', 'engrave'],
-      'laser': ['laser', 'cut', 'engrave'],
-      'scan': ['scan', 'scanner'],
-      'route': ['route', 'router', 'cnc', 'shopbot']
-    };
-
-    // Find machines whose type matches the task
-    const scored = results.map(m => {
-      let score = 0;
-      const mType = m.type.toLowerCase();
-      const mName = m.name.toLowerCase();
-      const mNotes = (m.notes || '').toLowerCase();
-      for (const word of taskLower.split(/\s+/)) {
-        if (mType.includes(word) || mName.includes(word) || mNotes.includes(word)) score += 2;
-        const related = taskKeywords[word] || [];
-        for (const r of related) {
-          if (mType.includes(r) || mName.includes(r) || mNotes.includes(r)) score += 1;
+        if (match && !result.matchingPrograms.some(p => p.path === prog.path)) {
+          result.matchingPrograms.push(prog);
         }
       }
-      return { ...m, relevanceScore: score };
+      return result;
     });
 
-    scored.sort((a, b) => b.relevanceScore - a.relevanceScore);
-
-    return { content: [{ type: 'text', text: JSON.stringify(scored, null, 2) }] };
+    // Matches first, best score first; rejected machines stay listed with their reasons
+    results.sort((a, b) => (a.verdict === b.verdict ? b.relevanceScore - a.relevanceScore : a.verdict === 'match' ? -1 : 1));
+    const best = results.find(m => m.verdict === 'match') || null;
+    const interpreted = { processes: request.processes.length > 0 ? request.processes : request.possibleProcesses, materials: request.materials, format: request.format, size: request.size };
+    const summary = { task: interpreted, best: best ? best.name : null, machines: results };
+    if (!best) summary.note = 'Every machine was rejected; see rejections. Update machine capabilities with update_profile if they are out of date.';
+    return { content: [{ type: 'text', text: JSON.stringify(summary, null, 2) }] };
   }
 );
 
 mcpServer.tool('launch_browser',
-  'Launch the Chromium browser and navigate to the mods CE deployment. Must be called before browser-dependent tools. Automatically sets up WebUSB/WebSerial device auto-selection from the user profile.',
-  {},
-  async () => {
-    if (browser.isLaunched()) return { content: [{ type: 'text', text: `Browser already running at ${modsUrl}` }] };
+  'Launch the Chromium browser and navigate to the mods CE deployment. Must be called before browser-dependent tools. Automatically sets up WebUSB/WebSerial device auto-selection from the user profile. Launch again with another session name to work on a second program (e.g., a GX-24 cut while an SRM-20 job stays loaded).',
+  {
+    session: sessionArg,
+    machine: z.string().optional().describe('Only auto-select the device of this profile machine in this session'),
+    simulated_device: z.object({
+      name: z.string().describe('Name shown in the device picker (e.g., "Roland DG SRM-20")'),
+      type: z.enum(['usb', 'serial']).optional().default('usb').describe('WebUSB or WebSerial'),
+      vendor_id: z.number().int().optional().default(0x0b75).describe('USB vendor ID (default: Roland DG)'),
+      product_id: z.number().int().optional().default(0).describe('USB product ID')
+    }).optional().describe('Replace real devices with a fake machine that records everything Mods sends (read it with get_device_capture)')
+  },
+  async ({ session, machine, simulated_device }) => {
+    if (browser.isLaunched(session)) return { content: [{ type: 'text', text: `Browser session "${session}" already running at ${modsUrl}` }] };
     try {
       // Load device name filters from profile before launching
       const profile = await loadProfile();
-      const filters = profile.machines
+      let machines = profile.machines;
+      if (machine) {
+        machines = machines.filter(m => m.name.toLowerCase() === machine.toLowerCase());
+        if (machines.length === 0) return { content: [{ type: 'text', text: `Machine "${machine}" not found in profile.` }], isError: true };
+      }
+      const filters = machines
         .filter(m => m.deviceName)
         .map(m => m.deviceName);
-      const names = profile.machines.map(m => m.name);
-      browser.setDeviceFilters(filters, names);
+      const names = machines.map(m => m.name);
 
-      await browser.launch(modsUrl, headless);
-      const msg = `Browser launched (${headless ? 'headless' : 'headed'}) at ${modsUrl}`;
+      const simulatedDevice = simulated_device
+        ? { name: simulated_device.name, type: simulated_device.type, vendorId: simulated_device.vendor_id, productId: simulated_device.product_id }
+        : null;
+      await browser.launch(modsUrl, headless, session, { deviceFilters: filters, machineNames: names, simulatedDevice });
+      // Until a program says otherwise, the session drives the machine it was launched for
+      if (machine) sessionState(session).launchedFor = machines[0].name;
+      resourceListChanged();
+      let msg = `Browser session "${session}" launched (${headless ? 'headless' : 'headed'}) at ${modsUrl}`;
+      if (simulatedDevice) msg += ` with simulated ${simulatedDevice.type === 'usb' ? 'WebUSB' : 'WebSerial'} device "${simulatedDevice.name}"`;
       const deviceMsg = `. Device auto-select enabled for ${names.length} machine(s): ${names.join(', ')}`;
       return { content: [{ type: 'text', text: msg + deviceMsg }] };
     } catch (err) {
@@ -393,17 +1227,73 @@ mcpServer.tool('launch_browser',
   }
 );
 
+mcpServer.tool('close_session',
+  'Close a browser session and its page. Closing the last session also closes the browser.',
+  { session: sessionArg },
+  async ({ session }) => {
+    if (!await browser.close(session)) return notLaunched(session);
+    sessionStates.delete(session);
+    stateChanged(session);
+    resourceListChanged();
+    return { content: [{ type: 'text', text: `Browser session "${session}" closed.` }] };
+  }
+);
+
+mcpServer.tool('get_device_capture',
+  'Get the bytes Mods sent to the simulated device of a session (see launch_browser simulated_device), as text or base64',
+  {
+    session: sessionArg,
+    encoding: z.enum(['text', 'base64']).optional().default('text').describe('How to return the captured bytes'),
+    max_bytes: z.number().int().positive().optional().default(10000).describe('Return at most this many bytes (the total size is always reported)'),
+    clear: z.boolean().optional().default(false).describe('Empty the capture after reading it')
+  },
+  async ({ session, encoding, max_bytes, clear }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    const capture = browser.getDeviceCapture(session);
+    if (!capture) return { content: [{ type: 'text', text: `Error: Session "${session}" has no simulated device. Launch it with simulated_device.` }], isError: true };
+    const bytes = Buffer.concat(capture.chunks.map(c => c.bytes));
+    const result = {
+      device: capture.device, type: capture.type, writes: capture.chunks.length, bytes: bytes.length,
+      firstWriteAt: capture.chunks.length > 0 ? new Date(capture.chunks[0].timestamp).toISOString() : null,
+      lastWriteAt: capture.chunks.length > 0 ? new Date(capture.chunks[capture.chunks.length - 1].timestamp).toISOString() : null,
+      truncated: bytes.length > max_bytes,
+      encoding,
+      content: bytes.subarray(0, max_bytes).toString(encoding === 'base64' ? 'base64' : 'latin1')
+    };
+    if (clear) browser.clearDeviceCapture(session);
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+  }
+);
+
+mcpServer.tool('get_browser_logs',
+  'Get the browser log of a session: console messages, uncaught page errors, web worker failures and failed requests (newest last, up to the last 500 entries)',
+  {
+    session: sessionArg,
+    level: z.enum(['info', 'warning', 'error']).optional().default('info').describe('Minimum level to return'),
+    since: z.number().int().nonnegative().optional().describe('Only entries with a seq greater than this (from a previous call)'),
+    limit: z.number().int().positive().optional().default(100).describe('Return at most the N newest matching entries'),
+    clear: z.boolean().optional().default(false).describe('Empty the log after reading it')
+  },
+  async ({ session, level, since, limit, clear }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    const entries = browser.getLogs({ since, level, limit }, session);
+    if (clear) browser.clearLogs(session);
+    if (entries.length === 0) return { content: [{ type: 'text', text: 'No matching log entries.' }] };
+    return { content: [{ type: 'text', text: JSON.stringify(entries, null, 2) }] };
+  }
+);
+
 mcpServer.tool('list_devices',
   'List connected USB/serial devices. Shows devices discovered from picker prompts and devices granted via WebUSB. Use after a workflow to see what the user connected.',
-  {},
-  async () => {
-    if (!browser.isLaunched()) return { content: [{ type: 'text', text: 'Error: Browser not launched.' }], isError: true };
+  { session: sessionArg },
+  async ({ session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
 
     // Get devices from CDP prompts
-    const discovered = browser.getDiscoveredDevices();
+    const discovered = browser.getDiscoveredDevices(session);
 
     // Also query granted WebUSB devices from the browser
-    const granted = await browser.getGrantedDevices();
+    const granted = await browser.getGrantedDevices(session);
 
     const result = {};
     if (discovered.length > 0) result.discoveredInPrompts = discovered;
@@ -416,11 +1306,11 @@ mcpServer.tool('list_devices',
   }
 );
 
-mcpServer.tool('list_programs', 'List available Mods programs organized by category',
-  { category: z.string().optional().describe('Filter by category (e.g., "machines", "processes", "image")') },
+mcpServer.tool('list_programs', 'List available Mods programs organized by category, including programs saved locally (category "saved")',
+  { category: z.string().optional().describe('Filter by category (e.g., "machines", "processes", "image", "saved")') },
   async ({ category }) => {
     try {
-      const manifest = await getProgramsManifest();
+      const manifest = [...await getProgramsManifest(), ...await programLibrary.listSavedPrograms()];
       let items = manifest;
       if (category) items = manifest.filter(p => p.category.toLowerCase().includes(category.toLowerCase()));
       return { content: [{ type: 'text', text: JSON.stringify(groupByCategory(items), null, 2) }] };
@@ -430,6 +1320,27 @@ mcpServer.tool('list_programs', 'List available Mods programs organized by categ
   }
 );
 
+mcpServer.tool('refresh_catalog',
+  'Re-fetch the program and module manifests from the Mods host, ignoring the cache TTL (unchanged files are revalidated by ETag), and leave degraded mode if the host is back',
+  { clear_module_info: z.boolean().optional().default(false).describe('Also drop cached module info so every module is parsed again') },
+  async ({ clear_module_info }) => {
+    if (clear_module_info && !modsDir) await catalogCache.clearCache(modsUrl, 'module-info');
+    moduleSources.clear();
+    moduleIndex = null;
+    try {
+      modulesManifest = await loadManifest('modules', { force: true });
+      programsManifest = await loadManifest('programs', { force: true });
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error refreshing catalog: ${err.message}` }], isError: true };
+    }
+    notifyResourceUpdated('mods://modules', 'mods://programs');
+    resourceListChanged();
+    const catalog = describeCatalog();
+    const result = { moduleCount: modulesManifest.length, programCount: programsManifest.length, ...catalog };
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: catalog.degraded };
+  }
+);
+
 mcpServer.tool('list_modules', 'List available Mods modules organized by category',
   { category: z.string().optional().describe('Filter by category (e.g., "read", "image", "mesh")') },
   async ({ category }) => {
@@ -457,101 +1368,241 @@ mcpServer.tool('get_module_info',
   }
 );
 
+mcpServer.tool('search_modules',
+  'Search the module catalog by name, category and port types, e.g., "modules that accept a mesh", "modules that output a toolpath" or "image threshold". Results are ranked and show each module\'s path with its input and output signatures. The first search parses every module, later ones are instant.',
+  {
+    query: z.string().optional().describe('What to look for, in words: names, categories, "accepts <type>", "outputs <type>"'),
+    input_type: z.string().optional().describe('Only modules with an input of this type or name (e.g., "mesh", "image", "toolpath")'),
+    output_type: z.string().optional().describe('Only modules with an output of this type or name'),
+    category: z.string().optional().describe('Only modules in this category (e.g., "image", "mesh", "processes")'),
+    limit: z.number().int().positive().optional().default(10).describe('Return at most N results')
+  },
+  async ({ query, input_type, output_type, category, limit }) => {
+    if (!query && !input_type && !output_type && !category) {
+      return { content: [{ type: 'text', text: 'Error: give a query, input_type, output_type or category.' }], isError: true };
+    }
+    try {
+      const found = searchModules(await getModuleIndex(), { query, inputType: input_type, outputType: output_type, category, limit });
+      if (found.total === 0) {
+        return { content: [{ type: 'text', text: `No modules match ${JSON.stringify(found.interpreted)}. Try fewer words or list_modules.` }] };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(found, null, 2) }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error searching modules: ${err.message}` }], isError: true };
+    }
+  }
+);
+
+mcpServer.tool('plan_pipeline',
+  'Propose module chains from an input file type (SVG, PNG, STL, DXF...) to a profile machine by searching the module port type graph: reader → processing modules → machine module → save file or device. Each plan lists modules and links ready for create_program, plus inputs left unconnected and links that only fit through untyped ports.',
+  {
+    input: z.string().describe('Input file type or path (e.g., "svg", "stl", "/home/me/board.png")'),
+    machine: z.string().describe('Profile machine name (e.g., "Roland SRM-20")'),
+    output: z.enum(['file', 'device', 'none']).optional().default('file').describe('End the chain with a save file module, a device module (WebUSB/WebSerial) or at the machine module'),
+    max_modules: z.number().int().min(2).max(15).optional().default(8).describe('Longest chain to consider, reader and machine module included'),
+    alternatives: z.number().int().positive().optional().default(3).describe('Return at most N plans, cheapest first')
+  },
+  async ({ input, machine, output, max_modules, alternatives }) => {
+    const format = extname(input).slice(1) || input;
+    const profile = await loadProfile();
+    const wanted = machine.toLowerCase();
+    const found = profile.machines.find(m => m.name.toLowerCase() === wanted)
+      || profile.machines.find(m => m.name.toLowerCase().includes(wanted));
+    if (!found) return { content: [{ type: 'text', text: `Machine "${machine}" not found in profile. Add it with update_profile.` }], isError: true };
+    try {
+      const result = planPipelines(await getModuleIndex(), { format, machine: found, output, maxModules: max_modules, limit: alternatives });
+      if (result.error) return { content: [{ type: 'text', text: result.error }], isError: true };
+      const plan = { input: format.toUpperCase(), machine: found.name, plans: result.plans, hint: 'Pass plans[0].modules and plans[0].links to create_program, then set the unconnected inputs or wire them by hand.' };
+      return { content: [{ type: 'text', text: JSON.stringify(plan, null, 2) }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error planning pipeline: ${err.message}` }], isError: true };
+    }
+  }
+);
+
 mcpServer.tool('load_program',
-  'Load a preset program in the browser by path. Optionally preload a file into the matching reader module via src URL.',
+  'Load a program in the browser: a preset by path, a saved program ("saved:<name>" from list_programs), or a program JSON file. Optionally preload a file into the matching reader module via src URL (presets only).',
   {
-    path: z.string().describe('Program path (e.g., "programs/machines/Roland/SRM-20 mill/mill 2D PCB")'),
-    src: z.string().optional().describe('URL of a file to auto-load into the matching reader module (matched by extension)')
+    path: z.string().optional().describe('Program path (e.g., "programs/machines/Roland/SRM-20 mill/mill 2D PCB" or "saved:my SRM-20 traces")'),
+    file: z.string().optional().describe('Absolute path to a program JSON file (saved program or raw v2 program) to load instead of path'),
+    src: z.string().optional().describe('URL of a file to auto-load into the matching reader module (matched by extension); preset programs only'),
+    session: sessionArg
   },
-  async ({ path, src }) => {
-    if (!browser.isLaunched()) return { content: [{ type: 'text', text: 'Error: Browser not launched. Use launch_browser first.' }], isError: true };
-    await browser.loadProgram(modsUrl, path, src);
-    loadedProgram = path;
-    const state = await browser.getProgramState();
-    const result = { loaded: path, modules: state.map(m => ({ id: m.id, name: m.name, paramCount: m.params.length, buttons: m.buttons })) };
-    if (src) result.src = src;
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+  async ({ path, file, src, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    if (!path && !file) return { content: [{ type: 'text', text: 'Error: path or file is required.' }], isError: true };
+    if (file && src) return { content: [{ type: 'text', text: `Error: ${SRC_PRESETS_ONLY}.` }], isError: true };
+    try {
+      const result = file
+        ? await openProgramData(await programLibrary.readProgramFile(file), `file:${file}`, session)
+        : await openProgram(path, src, session);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error loading program: ${err.message}` }], isError: true };
+    }
   }
 );
 
-mcpServer.tool('get_program_state', 'Get current state of all modules in the loaded program', {},
-  async () => {
-    if (!browser.isLaunched()) return { content: [{ type: 'text', text: 'Error: Browser not launched.' }], isError: true };
-    if (!loadedProgram) return { content: [{ type: 'text', text: 'Error: No program loaded. Use load_program first.' }], isError: true };
-    const state = await browser.getProgramState();
+mcpServer.tool('get_program_state',
+  'Get current state of all modules in the loaded program. Each parameter lists its module path, unit (mm, in, mm/s, %, ...) and default/min/max where the module source defines them.',
+  { session: sessionArg },
+  async ({ session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    if (!sessionState(session).loadedProgram) return { content: [{ type: 'text', text: 'Error: No program loaded. Use load_program first.' }], isError: true };
+    const state = await describeProgramState(await browser.getProgramState(session), session);
     return { content: [{ type: 'text', text: JSON.stringify(state, null, 2) }] };
   }
 );
 
-mcpServer.tool('set_parameter', 'Set a parameter value in a specific module',
+mcpServer.tool('set_parameter',
+  'Set a parameter value in a specific module. Values may carry a unit ("0.4mm", "1/64in", "20 mm/s"); they are converted to the unit the parameter expects.',
   {
     module_name: z.string().describe('Module name (or partial match, or name:id for disambiguation)'),
     parameter: z.string().describe('Parameter label (or partial match)'),
-    value: z.string().describe('New value to set')
+    value: z.string().describe('New value to set, optionally with a unit'),
+    session: sessionArg
   },
-  async ({ module_name, parameter, value }) => {
-    if (!browser.isLaunched()) return { content: [{ type: 'text', text: 'Error: Browser not launched.' }], isError: true };
-    const { name, id } = parseModuleNameId(module_name);
-    const found = await findModule(name, id);
-    if (found.error) return { content: [{ type: 'text', text: found.error }], isError: true };
-    const result = await browser.setModuleInput(found.module.id, parameter, value);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+  async ({ module_name, parameter, value, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    const result = await applyParameter(module_name, parameter, value, session);
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: !!result.error };
   }
 );
 
-mcpServer.tool('trigger_action', 'Click a button in a module (calculate, view, export, etc.)',
+mcpServer.tool('set_parameters',
+  'Set several parameters at once. All changes are validated first (modules, parameters, units, machine limits); they are then applied together, and if any fails every value is rolled back. Returns a before/after diff.',
+  {
+    changes: z.array(z.object({
+      module_name: z.string().describe('Module name (or partial match, or name:id for disambiguation)'),
+      parameter: z.string().describe('Parameter label (or partial match)'),
+      value: z.string().describe('New value to set, optionally with a unit')
+    })).min(1).describe('Changes to apply, in order'),
+    session: sessionArg
+  },
+  async ({ changes, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    const result = await applyParameters(changes, session);
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: !!result.error };
+  }
+);
+
+mcpServer.tool('apply_material',
+  'Apply a material preset from the profile (e.g., "FR1 1/64" on the SRM-20, "acrylic 3mm" on the Epilog) to the loaded program. Its settings go through set_parameters: validated with units and machine limits, applied together and rolled back on failure.',
+  {
+    name: z.string().describe('Material preset name (or partial match)'),
+    machine: z.string().optional().describe('Profile machine whose preset to use; default: the machine running the loaded program'),
+    session: sessionArg
+  },
+  async ({ name, machine, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    const profile = await loadProfile();
+    const { loadedProgram } = sessionState(session);
+    const programMachine = findProgramMachine(profile, session);
+    const selected = materialPresets.selectMaterial(profile.materials || [], name, {
+      machine: machine || (programMachine ? programMachine.name : null), program: loadedProgram
+    });
+    if (selected.error) return { content: [{ type: 'text', text: selected.error }], isError: true };
+    const { material } = selected;
+
+    const warnings = [];
+    if (material.program && material.program !== loadedProgram) {
+      warnings.push(`Preset is for "${material.program}" but ${loadedProgram ? `"${loadedProgram}"` : 'no program'} is loaded; use load_program if its modules are missing.`);
+    }
+    if (material.machine && programMachine && material.machine.toLowerCase() !== programMachine.name.toLowerCase()) {
+      warnings.push(`Preset is for ${material.machine} but the loaded program runs ${programMachine.name}.`);
+    }
+    const result = { material: material.name, machine: material.machine || null, ...await applyParameters(material.settings, session) };
+    if (warnings.length > 0) result.warnings = [...warnings, ...(result.warnings || [])];
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: !!result.error };
+  }
+);
+
+mcpServer.tool('trigger_action',
+  'Click a button in a module (calculate, view, export, etc.) and wait until the work it starts has finished: web workers idle, module outputs quiet and downloads saved. Returns status "finished" or "running" if the timeout passes first.',
   {
     module_name: z.string().describe('Module name (or partial match, or name:id for disambiguation)'),
-    action: z.string().describe('Button text to click (or partial match)')
+    action: z.string().describe('Button text to click (or partial match)'),
+    timeout_ms: z.number().int().positive().optional().default(DEFAULT_ACTION_TIMEOUT_MS).describe('How long to wait for completion before returning "running"'),
+    wait_for: z.enum(['auto', 'download']).optional().default('auto').describe('"auto": until activity settles; "download": also require a new download (use it for actions that produce a file: a worker that goes quiet for 5 s after a progress message counts as done)'),
+    session: sessionArg
   },
-  async ({ module_name, action }) => {
-    if (!browser.isLaunched()) return { content: [{ type: 'text', text: 'Error: Browser not launched.' }], isError: true };
-    browser.clearDownloads();
-    const { name, id } = parseModuleNameId(module_name);
-    const found = await findModule(name, id);
-    if (found.error) return { content: [{ type: 'text', text: found.error }], isError: true };
-    const result = await browser.clickModuleButton(found.module.id, action);
-    await new Promise(r => setTimeout(r, 2000));
-    const download = browser.getLatestDownload();
-    if (download) result.download = { filename: download.suggestedFilename, size: download.content ? download.content.length : 0 };
+  async ({ module_name, action, timeout_ms, wait_for, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    const result = await triggerModuleAction(module_name, action, { timeoutMs: timeout_ms, waitFor: wait_for }, session);
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: !!result.error };
+  }
+);
+
+mcpServer.tool('wait_for_completion',
+  'Keep waiting for the work started by the last trigger_action (e.g. a large mill raster calculation) to finish',
+  {
+    timeout_ms: z.number().int().positive().optional().default(DEFAULT_ACTION_TIMEOUT_MS).describe('How long to wait before returning "running" again'),
+    wait_for: z.enum(['auto', 'download']).optional().default('auto').describe('"auto": until activity settles; "download": also require a new download (use it for actions that produce a file: a worker that goes quiet for 5 s after a progress message counts as done)'),
+    session: sessionArg
+  },
+  async ({ timeout_ms, wait_for, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    if (!sessionState(session).lastTrigger) return { content: [{ type: 'text', text: 'Error: No action triggered yet. Use trigger_action first.' }], isError: true };
+    const result = await awaitCompletion({}, { timeoutMs: timeout_ms, waitFor: wait_for }, session);
     return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
   }
 );
 
+mcpServer.tool('screenshot',
+  'Capture a PNG of the Mods workspace, or of a single module (e.g. to see the image threshold preview or the mill raster view)',
+  {
+    module_name: z.string().optional().describe('Module to capture (name, partial match, or name:id). Omit for the whole workspace.'),
+    full_page: z.boolean().optional().default(true).describe('Capture the whole scrollable workspace rather than just the visible viewport'),
+    session: sessionArg
+  },
+  async ({ module_name, full_page, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    let moduleId, label = 'workspace';
+    if (module_name) {
+      const { name, id } = parseModuleNameId(module_name);
+      const found = await findModule(name, id, null, session);
+      if (found.error) return { content: [{ type: 'text', text: found.error }], isError: true };
+      moduleId = found.module.id;
+      label = `${found.module.name} (${moduleId})`;
+    }
+    try {
+      const png = await browser.captureScreenshot(moduleId, full_page, session);
+      return {
+        content: [
+          { type: 'image', data: png.toString('base64'), mimeType: 'image/png' },
+          { type: 'text', text: `Screenshot of ${label}` }
+        ]
+      };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Screenshot failed: ${err.message}` }], isError: true };
+    }
+  }
+);
+
 mcpServer.tool('load_file',
   'Load a file into the matching reader module. Uses postMessage for SVG/PNG, file input for other types.',
   {
     module_name: z.string().describe('Module name (or partial match, or name:id for disambiguation)'),
-    file_path: z.string().describe('Absolute path to the file to load')
+    file_path: z.string().describe('Absolute path to the file to load'),
+    session: sessionArg
   },
-  async ({ module_name, file_path }) => {
-    if (!browser.isLaunched()) return { content: [{ type: 'text', text: 'Error: Browser not launched.' }], isError: true };
-    try { await stat(file_path); } catch {
-      return { content: [{ type: 'text', text: `Error: File not found: ${file_path}` }], isError: true };
-    }
-    const ext = extname(file_path).toLowerCase();
-    if (ext === '.svg' || ext === '.png') {
-      const result = await browser.postMessageFile(file_path);
-      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
-    }
-    const { name, id } = parseModuleNameId(module_name);
-    const found = await findModule(name, id);
-    if (found.error) return { content: [{ type: 'text', text: found.error }], isError: true };
-    const result = await browser.setModuleFile(found.module.id, file_path);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+  async ({ module_name, file_path, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    const result = await loadInputFile(module_name, file_path, session);
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: !!result.error };
   }
 );
 
-mcpServer.tool('export_file', 'Get the most recently downloaded/exported file from Mods', {},
-  async () => {
-    const download = browser.getLatestDownload();
+mcpServer.tool('export_file', 'Get the most recently downloaded/exported file from Mods (first 10,000 characters; use get_export for the full file)',
+  { session: sessionArg },
+  async ({ session }) => {
+    const download = browser.getLatestDownload(session);
     if (!download) return { content: [{ type: 'text', text: 'No file exported yet. Use trigger_action first.' }], isError: true };
     return {
       content: [{
         type: 'text',
         text: JSON.stringify({
-          filename: download.suggestedFilename,
-          size: download.content ? download.content.length : 0,
+          ...summarizeDownload(download),
           content: download.content ? download.content.toString('utf-8').slice(0, 10000) : null
         }, null, 2)
       }]
@@ -559,91 +1610,591 @@ mcpServer.tool('export_file', 'Get the most recently downloaded/exported file fr
   }
 );
 
-mcpServer.tool('create_program', 'Build a new v2 program from modules and connections, load in browser',
+mcpServer.tool('list_exports',
+  'List past exports saved to disk (newest first), with machine, program, input file and timestamp.',
+  {
+    limit: z.number().int().positive().optional().describe('Only return the N most recent exports'),
+    session: z.string().optional().describe('Only list exports made in this browser session')
+  },
+  async ({ limit, session }) => {
+    let exports = await exportStore.listExports(session ? undefined : limit);
+    if (session) exports = exports.filter(e => (e.session || browser.DEFAULT_SESSION) === session).slice(0, limit);
+    if (exports.length === 0) return { content: [{ type: 'text', text: 'No exports saved yet.' }] };
+    return { content: [{ type: 'text', text: JSON.stringify(exports, null, 2) }] };
+  }
+);
+
+mcpServer.tool('get_export',
+  'Get the full content of a saved export. Text files are returned as-is, binary files as base64.',
+  { id: z.string().optional().describe('Export ID or filename from list_exports (default: most recent)') },
+  async ({ id }) => {
+    let found;
+    try {
+      found = await exportStore.readExport(id);
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error reading export: ${err.message}` }], isError: true };
+    }
+    if (!found) return { content: [{ type: 'text', text: id ? `Export "${id}" not found. Use list_exports to see saved exports.` : 'No exports saved yet.' }], isError: true };
+    const { record, content } = found;
+    const binary = exportStore.isBinary(content);
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          ...record,
+          encoding: binary ? 'base64' : 'utf-8',
+          content: content.toString(binary ? 'base64' : 'utf-8')
+        }, null, 2)
+      }]
+    };
+  }
+);
+
+mcpServer.tool('delete_export', 'Delete a saved export from the history and from disk',
+  {
+    id: z.string().describe('Export ID or filename from list_exports'),
+    keep_file: z.boolean().optional().default(false).describe('Only remove the history entry, keep the file on disk')
+  },
+  async ({ id, keep_file }) => {
+    const record = await exportStore.deleteExport(id, keep_file);
+    if (!record) return { content: [{ type: 'text', text: `Export "${id}" not found.` }], isError: true };
+    notifyResourceUpdated('mods://export/latest', 'mods://exports', `mods://export/${encodeURIComponent(record.id)}`);
+    resourceListChanged();
+    return { content: [{ type: 'text', text: `Export "${record.filename}" removed${keep_file ? ' from history (file kept)' : ''}.` }] };
+  }
+);
+
+mcpServer.tool('analyze_toolpath',
+  'Analyze an exported toolpath (Roland RML, G-code, ShopBot, Epilog/HPGL): bounding box, Z depth range, cut/travel distance, plunges, estimated run time, and an optional stock fit check.',
+  {
+    id: z.string().optional().describe('Export ID or filename from list_exports (default: most recent export)'),
+    file_path: z.string().optional().describe('Absolute path to a toolpath file instead of a saved export'),
+    format: z.enum(['auto', 'rml', 'gcode', 'shopbot', 'epilog', 'hpgl']).optional().default('auto').describe('Toolpath format (default: detect from content and filename)'),
+    units: z.enum(['mm', 'in']).optional().describe('Coordinate units for G-code without G20/G21 (default mm) and ShopBot (default in)'),
+    units_per_mm: z.number().positive().optional().describe('Machine units per mm for RML (default 100) and HPGL (default 40)'),
+    rapid_rate: z.number().positive().optional().describe('Travel speed in mm/s for moves without a stated speed (default 25)'),
+    machine: z.string().optional().describe('Profile machine name whose limits the toolpath should be checked against'),
+    session: sessionArg.describe('Browser session whose latest download is used when no id or file_path is given'),
+    stock: z.object({
+      width: z.number().optional().describe('Stock size along X in mm'),
+      height: z.number().optional().describe('Stock size along Y in mm'),
+      thickness: z.number().optional().describe('Stock thickness in mm')
+    }).optional().describe('Check that the cuts fit this stock, with its origin at (0, 0)')
+  },
+  async ({ id, file_path, format, units, units_per_mm, rapid_rate, machine, stock, session }) => {
+    try {
+      const source = await readToolpathSource(id, file_path, session);
+      if (!source) return { content: [{ type: 'text', text: id ? `Export "${id}" not found.` : 'No file exported yet. Use trigger_action first.' }], isError: true };
+      const options = { filename: source.filename, format, units, unitsPerMm: units_per_mm, rapidRate: rapid_rate, stock };
+      const text = source.content.toString('latin1');
+      const analysis = analyzeToolpath(text, options);
+      if (machine) {
+        const profile = await loadProfile();
+        const found = profile.machines.find(m => m.name.toLowerCase() === machine.toLowerCase());
+        if (!found) return { content: [{ type: 'text', text: `Machine "${machine}" not found in profile.` }], isError: true };
+        const violations = machineLimits.checkMoves(found.limits, parseToolpath(text, options).moves);
+        analysis.limitCheck = found.limits
+          ? { machine: found.name, withinLimits: violations.length === 0, violations }
+          : { machine: found.name, note: 'No limits configured for this machine' };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify({ file: source.filename, ...analysis }, null, 2) }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error analyzing toolpath: ${err.message}` }], isError: true };
+    }
+  }
+);
+
+mcpServer.tool('render_toolpath',
+  'Render an exported toolpath to a PNG or SVG preview image. Cut moves are shaded by depth (light = shallow, dark = deep), travel moves are dashed red.',
+  {
+    id: z.string().optional().describe('Export ID or filename from list_exports (default: most recent export)'),
+    file_path: z.string().optional().describe('Absolute path to a toolpath file instead of a saved export'),
+    image_format: z.enum(['png', 'svg']).optional().default('png').describe('Image format'),
+    width: z.number().int().min(100).max(4000).optional().default(800).describe('Image width in pixels'),
+    show_travel: z.boolean().optional().default(true).describe('Draw travel (non-cutting) moves'),
+    format: z.enum(['auto', 'rml', 'gcode', 'shopbot', 'epilog', 'hpgl']).optional().default('auto').describe('Toolpath format (default: detect)'),
+    units: z.enum(['mm', 'in']).optional().describe('Coordinate units for G-code without G20/G21 and ShopBot'),
+    units_per_mm: z.number().positive().optional().describe('Machine units per mm for RML (default 100) and HPGL (default 40)'),
+    session: sessionArg.describe('Browser session whose latest download is used when no id or file_path is given')
+  },
+  async ({ id, file_path, image_format, width, show_travel, format, units, units_per_mm, session }) => {
+    try {
+      const source = await readToolpathSource(id, file_path, session);
+      if (!source) return { content: [{ type: 'text', text: id ? `Export "${id}" not found.` : 'No file exported yet. Use trigger_action first.' }], isError: true };
+      const { moves, format: detected } = parseToolpath(source.content.toString('latin1'), {
+        filename: source.filename, format, units, unitsPerMm: units_per_mm
+      });
+      if (moves.length === 0) return { content: [{ type: 'text', text: `No moves found in ${source.filename} (${detected}).` }], isError: true };
+      const options = { width, showTravel: show_travel };
+      const image = image_format === 'svg'
+        ? { type: 'image', data: Buffer.from(renderSvg(moves, options)).toString('base64'), mimeType: 'image/svg+xml' }
+        : { type: 'image', data: renderPng(moves, options).toString('base64'), mimeType: 'image/png' };
+      const info = { file: source.filename, format: detected, moves: moves.length, colors: legend(moves, show_travel) };
+      return { content: [image, { type: 'text', text: JSON.stringify(info, null, 2) }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error rendering toolpath: ${err.message}` }], isError: true };
+    }
+  }
+);
+
+mcpServer.tool('create_program',
+  'Build a new v2 program from modules and connections, load in browser. Links are checked against each module\'s ports and port types, modules are laid out in columns following the data flow, and initial parameter values can be set.',
   {
-    modules: z.array(z.string()).describe('Module paths (e.g., ["modules/read/svg.js", "modules/mesh/rotate.js"])'),
+    modules: z.array(z.union([
+      z.string(),
+      z.object({
+        path: z.string().describe('Module path'),
+        alias: z.string().optional().describe('Name to use in links (needed when two modules share a name)'),
+        params: z.record(z.string(), z.string()).optional().describe('Initial values by parameter label, optionally with units (e.g., { "mm": "0.4" })')
+      })
+    ])).describe('Module paths (e.g., ["modules/read/svg.js", "modules/mesh/rotate.js"]) or { path, alias, params } objects'),
     links: z.array(z.object({
-      from: z.string().describe('Source: "moduleName.outputPort"'),
-      to: z.string().describe('Destination: "moduleName.inputPort"')
-    })).describe('Connections between modules')
+      from: z.string().describe('Source: "moduleName.outputPort" (or "alias.outputPort")'),
+      to: z.string().describe('Destination: "moduleName.inputPort" (or "alias.inputPort")')
+    })).describe('Connections between modules'),
+    strict_types: z.boolean().optional().default(true).describe('Reject links whose port types differ; when false they are reported as warnings'),
+    session: sessionArg
   },
-  async ({ modules: modulePaths, links }) => {
-    if (!browser.isLaunched()) return { content: [{ type: 'text', text: 'Error: Browser not launched.' }], isError: true };
+  async ({ modules: moduleSpecs, links, strict_types, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
     try {
-      const mods = {};
-      const nameToId = {};
-      let x = 100;
-      for (const modPath of modulePaths) {
-        const id = Math.random().toString();
-        mods[id] = { module: modPath, top: '100', left: String(x), params: {} };
-        x += 300;
-        const res = await fetch(`${modsUrl}/${modPath}`);
-        if (res.ok) {
-          const source = await res.text();
-          const nameMatch = source.match(/var\s+name\s*=\s*['"]([^'"]+)['"]/);
-          if (nameMatch) nameToId[nameMatch[1]] = id;
+      const entries = [];
+      const errors = [];
+      for (const spec of moduleSpecs) {
+        const { path, alias, params } = typeof spec === 'string' ? { path: spec } : spec;
+        const info = await parseModule(path, false);
+        if (info.error) {
+          errors.push(`Could not read module ${path}: ${info.error}`);
+          continue;
+        }
+        entries.push({ id: Math.random().toString(), path, alias, params, info, label: alias || info.name });
+      }
+
+      // Links refer to modules by alias, or by name when it is unambiguous
+      const byLabel = new Map();
+      for (const entry of entries) {
+        for (const key of new Set([entry.alias, entry.info.name].filter(Boolean))) {
+          if (!byLabel.has(key)) byLabel.set(key, []);
+          byLabel.get(key).push(entry);
         }
       }
+      const resolve = (label) => {
+        const matches = byLabel.get(label) || [];
+        const aliased = matches.filter(e => e.alias === label);
+        if (aliased.length === 1) return aliased[0];
+        if (matches.length > 1) throw new Error(`"${label}" matches ${matches.length} modules (${matches.map(e => e.path).join(', ')}); give them aliases`);
+        if (matches.length === 0) throw new Error(`Module not found in link: ${label}. Known: ${[...byLabel.keys()].join(', ')}`);
+        return matches[0];
+      };
+
+      const warnings = [];
+      const edges = [];
       const programLinks = [];
       for (const link of links) {
-        const [fromModule, fromPort] = link.from.split('.');
-        const [toModule, toPort] = link.to.split('.');
-        const sourceId = nameToId[fromModule];
-        const destId = nameToId[toModule];
-        if (!sourceId || !destId) throw new Error(`Module not found in link: ${!sourceId ? fromModule : toModule}`);
-        programLinks.push(JSON.stringify({
-          source: JSON.stringify({ id: sourceId, type: 'outputs', name: fromPort }),
-          dest: JSON.stringify({ id: destId, type: 'inputs', name: toPort })
-        }));
+        try {
+          const from = splitEndpoint(link.from), to = splitEndpoint(link.to);
+          const source = resolve(from.module), dest = resolve(to.module);
+          for (const problem of checkLink(source, from.port, dest, to.port)) {
+            if (!strict_types && problem.includes('cannot feed')) warnings.push(problem);
+            else errors.push(problem);
+          }
+          edges.push({ from: source.id, to: dest.id });
+          programLinks.push(JSON.stringify({
+            source: JSON.stringify({ id: source.id, type: 'outputs', name: from.port }),
+            dest: JSON.stringify({ id: dest.id, type: 'inputs', name: to.port })
+          }));
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+      if (errors.length > 0) {
+        return { content: [{ type: 'text', text: JSON.stringify({ created: false, errors, warnings }, null, 2) }], isError: true };
+      }
+
+      const positions = layeredLayout(entries.map(e => e.id), edges);
+      const mods = {};
+      for (const entry of entries) {
+        const { left, top } = positions[entry.id];
+        mods[entry.id] = { module: entry.path, top: String(top), left: String(left), params: {} };
       }
       const prog = { version: 2, modules: mods, links: programLinks };
-      await browser.injectProgram(prog);
-      loadedProgram = 'custom (created)';
-      const state = await browser.getProgramState();
+      await browser.injectProgram(prog, session);
+      await programLoaded('custom (created)', session);
+
+      const result = { created: true, moduleCount: entries.length, linkCount: programLinks.length };
+      const changes = entries.flatMap(e => Object.entries(e.params || {}).map(([parameter, value]) => ({ module_name: `${e.info.name}:${e.id}`, parameter, value })));
+      if (changes.length > 0) {
+        const applied = await applyParameters(changes, session);
+        if (applied.error) result.parameterErrors = applied.errors || [applied.error];
+        else result.parameters = applied.diff;
+        if (applied.warnings) warnings.push(...applied.warnings);
+      }
+      const state = await browser.getProgramState(session);
+      result.modules = state.map(m => {
+        const entry = entries.find(e => e.id === m.id);
+        return entry && entry.alias ? { id: m.id, name: m.name, alias: entry.alias } : { id: m.id, name: m.name };
+      });
+      if (warnings.length > 0) result.warnings = warnings;
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: !!result.parameterErrors };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error creating program: ${err.message}` }], isError: true };
+    }
+  }
+);
+
+mcpServer.tool('save_program',
+  'Extract the current program state as v2 JSON. With a name, also save it with its current parameter values to ~/.mops/programs so it can be loaded later as "saved:<name>".',
+  {
+    name: z.string().optional().describe('Save under this name in the local program library'),
+    description: z.string().optional().describe('What this program is tuned for (e.g., "SRM-20 traces for FR1, 1/64 bit")'),
+    overwrite: z.boolean().optional().default(true).describe('Replace an existing saved program with the same name'),
+    session: sessionArg
+  },
+  async ({ name, description, overwrite, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    const programState = await browser.extractProgramState(session);
+    if (!programState) return { content: [{ type: 'text', text: 'Error: Could not extract program state.' }], isError: true };
+    if (!name) return { content: [{ type: 'text', text: JSON.stringify(programState, null, 2) }] };
+    const { loadedProgram } = sessionState(session);
+    try {
+      const state = await browser.getProgramState(session);
+      const parameters = state.map(m => ({ id: m.id, name: m.name, params: m.params }));
+      const file = await programLibrary.saveProgram(name, { program: programState, parameters, basedOn: loadedProgram, description }, overwrite);
+      notifyResourceUpdated('mods://programs', `mods://program/${encodeURI(programLibrary.SAVED_PREFIX + name)}`);
+      resourceListChanged();
       return {
         content: [{
           type: 'text',
           text: JSON.stringify({
-            created: true, moduleCount: Object.keys(mods).length,
-            linkCount: programLinks.length, modules: state.map(m => ({ id: m.id, name: m.name }))
+            saved: `${programLibrary.SAVED_PREFIX}${name}`, file, basedOn: loadedProgram,
+            moduleCount: state.length, parameterCount: parameters.reduce((n, m) => n + m.params.length, 0)
           }, null, 2)
         }]
       };
     } catch (err) {
-      return { content: [{ type: 'text', text: `Error creating program: ${err.message}` }], isError: true };
+      return { content: [{ type: 'text', text: `Error saving program: ${err.message}` }], isError: true };
+    }
+  }
+);
+
+// One side of a program diff: the live page, a saved program, a JSON file on disk, or a stock program path
+async function readProgramForDiff(spec, session) {
+  if (spec === 'live') {
+    if (!browser.isLaunched(session) || !sessionState(session).loadedProgram) throw new Error('No live program. Launch the browser and load a program first.');
+    const program = await browser.extractProgramState(session);
+    if (!program) throw new Error('Could not extract program state.');
+    const state = await browser.getProgramState(session);
+    return { program, parameters: state.map(m => ({ id: m.id, name: m.name, params: m.params })) };
+  }
+  if (spec.startsWith(programLibrary.SAVED_PREFIX)) {
+    return programLibrary.loadSavedProgram(spec.slice(programLibrary.SAVED_PREFIX.length));
+  }
+  if (extname(spec).toLowerCase() === '.json' && await stat(resolve(spec)).then(s => s.isFile(), () => false)) {
+    return programLibrary.readProgramFile(resolve(spec));
+  }
+  return programLibrary.normalizeProgramFile(JSON.parse(await readModsText(spec)));
+}
+
+mcpServer.tool('diff_programs',
+  'Compare two programs: modules added or removed, links changed, and parameter values that differ. Each side is "live" (the program in the browser), a stock program path, "saved:<name>", or a path to a program JSON file.',
+  {
+    a: z.string().describe('First program (e.g., "programs/machines/Roland/SRM-20 mill/mill 2D PCB")'),
+    b: z.string().optional().default('live').describe('Second program (default: "live")'),
+    session: sessionArg.describe('Browser session used for "live"')
+  },
+  async ({ a, b, session }) => {
+    try {
+      const sides = [];
+      for (const spec of [a, b]) {
+        try {
+          sides.push(await normalizeProgram(await readProgramForDiff(spec, session), moduleSource));
+        } catch (err) {
+          throw new Error(`Could not read "${spec}": ${err.message}`);
+        }
+      }
+      const result = { a, b, ...diffPrograms(sides[0], sides[1]) };
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error comparing programs: ${err.message}` }], isError: true };
     }
   }
 );
 
-mcpServer.tool('save_program', 'Extract the current program state as v2 JSON', {},
+mcpServer.tool('list_jobs',
+  'List logged jobs (newest first): every completed export with its program, machine, input file, action, output and errors',
+  {
+    limit: z.number().int().positive().optional().default(20).describe('Only return the N most recent jobs'),
+    session: z.string().optional().describe('Only list jobs from this browser session')
+  },
+  async ({ limit, session }) => {
+    let list = await jobs.listJobs();
+    if (session) list = list.filter(j => j.session === session);
+    list = list.slice(0, limit);
+    if (list.length === 0) return { content: [{ type: 'text', text: 'No jobs logged yet.' }] };
+    return { content: [{ type: 'text', text: JSON.stringify(list, null, 2) }] };
+  }
+);
+
+mcpServer.tool('get_job',
+  'Get a logged job with its full parameter snapshot',
+  {
+    id: z.string().describe('Job ID from list_jobs'),
+    include_program: z.boolean().optional().default(false).describe('Also include the v2 program snapshot taken with the job')
+  },
+  async ({ id, include_program }) => {
+    try {
+      const job = await jobs.loadJob(id);
+      if (!job) return { content: [{ type: 'text', text: `Job "${id}" not found. Use list_jobs to see logged jobs.` }], isError: true };
+      if (!include_program) delete job.programSnapshot;
+      return { content: [{ type: 'text', text: JSON.stringify(job, null, 2) }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error reading job: ${err.message}` }], isError: true };
+    }
+  }
+);
+
+mcpServer.tool('rerun_job',
+  'Re-run a logged job: reload its program, reapply its parameters and reload its input file through load_file. With trigger, also click the action that produced the output.',
+  {
+    id: z.string().describe('Job ID from list_jobs'),
+    trigger: z.boolean().optional().default(false).describe('Also trigger the recorded action (e.g., "calculate") and wait for it'),
+    session: sessionArg
+  },
+  async ({ id, trigger, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    try {
+      const job = await jobs.loadJob(id);
+      if (!job) return { content: [{ type: 'text', text: `Job "${id}" not found. Use list_jobs to see logged jobs.` }], isError: true };
+      const result = await rerunJob(job, { trigger }, session);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: !!result.error };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error re-running job: ${err.message}` }], isError: true };
+    }
+  }
+);
+
+mcpServer.tool('list_recipes', 'List workflow recipes saved in ~/.mops/recipes with their variables', {},
   async () => {
-    if (!browser.isLaunched()) return { content: [{ type: 'text', text: 'Error: Browser not launched.' }], isError: true };
-    const programState = await browser.extractProgramState();
-    if (!programState) return { content: [{ type: 'text', text: 'Error: Could not extract program state.' }], isError: true };
-    return { content: [{ type: 'text', text: JSON.stringify(programState, null, 2) }] };
+    const list = await recipes.listRecipes();
+    if (list.length === 0) return { content: [{ type: 'text', text: `No recipes yet. Use save_recipe to add one (stored in ${recipes.RECIPES_DIR}).` }] };
+    return { content: [{ type: 'text', text: JSON.stringify(list, null, 2) }] };
+  }
+);
+
+mcpServer.tool('save_recipe',
+  'Save a workflow recipe (JSON or YAML) to ~/.mops/recipes. A recipe has optional "description" and "variables" ({name: {default, required, description}}) and a list of "steps". Each step has a "tool" (load_program, set_parameter, trigger_action, load_file, export_file, wait) plus that tool\'s arguments; string arguments may use {{variable}} placeholders. Steps may also set "label" and "expect_download: true".',
+  {
+    name: z.string().describe('Recipe name (e.g., "srm20-traces")'),
+    content: z.string().describe('Recipe document'),
+    format: z.enum(['yaml', 'json']).optional().default('yaml').describe('Document format')
+  },
+  async ({ name, content, format }) => {
+    try {
+      const file = await recipes.saveRecipe(name, content, format);
+      return { content: [{ type: 'text', text: `Recipe "${name}" saved to ${file}.` }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error saving recipe: ${err.message}` }], isError: true };
+    }
   }
 );
 
+mcpServer.tool('run_recipe',
+  'Run a saved workflow recipe step by step, stopping on the first error. Returns a per-step report.',
+  {
+    name: z.string().describe('Recipe name from list_recipes'),
+    variables: z.record(z.string(), z.string()).optional().describe('Variable values (e.g., {"input": "/path/to/board.svg", "material": "FR1"})'),
+    session: sessionArg
+  },
+  async ({ name, variables, session }) => {
+    if (!browser.isLaunched(session)) return notLaunched(session);
+    let recipe;
+    try {
+      recipe = await recipes.loadRecipe(name);
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+    }
+    const report = await recipes.runRecipe(recipe, variables || {}, recipeActions(session));
+    return { content: [{ type: 'text', text: JSON.stringify(report, null, 2) }], isError: !report.success };
+  }
+);
+
+// --- Resources ---
+// Read-only views of manifests, profile, live state and exports that clients can attach or subscribe to
+
+function jsonContents(uri, value) {
+  return { contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(value, null, 2) }] };
+}
+
+function exportContents(uri, found) {
+  if (!found) throw new Error('No exports saved yet.');
+  const { record, content } = found;
+  return {
+    contents: [exportStore.isBinary(content)
+      ? { uri: uri.href, mimeType: 'application/octet-stream', blob: content.toString('base64') }
+      : { uri: uri.href, mimeType: 'text/plain', text: content.toString('utf-8') }],
+    _meta: { export: record }
+  };
+}
+
+mcpServer.resource('programs', 'mods://programs',
+  { description: 'Mods programs by category, including programs saved locally', mimeType: 'application/json' },
+  async (uri) => jsonContents(uri, groupByCategory([...await getProgramsManifest(), ...await programLibrary.listSavedPrograms()]))
+);
+
+mcpServer.resource('modules', 'mods://modules',
+  { description: 'Mods modules by category', mimeType: 'application/json' },
+  async (uri) => jsonContents(uri, groupByCategory(await getModulesManifest()))
+);
+
+mcpServer.resource('program', new ResourceTemplate('mods://program/{+path}', {
+  list: async () => ({
+    resources: [...await getProgramsManifest(), ...await programLibrary.listSavedPrograms()].map(p => ({
+      uri: `mods://program/${encodeURI(p.path)}`, name: p.name || p.path, mimeType: 'application/json'
+    }))
+  })
+}),
+  { description: 'A program as v2 JSON: a stock program path or "saved:<name>" (saved programs include their parameter snapshot)' },
+  async (uri, { path }) => {
+    const spec = decodeURIComponent(path);
+    const data = spec.startsWith(programLibrary.SAVED_PREFIX)
+      ? await programLibrary.loadSavedProgram(spec.slice(programLibrary.SAVED_PREFIX.length))
+      : programLibrary.normalizeProgramFile(JSON.parse(await readModsText(spec)));
+    return jsonContents(uri, data);
+  }
+);
+
+mcpServer.resource('module', new ResourceTemplate('mods://module/{+path}', { list: undefined }),
+  { description: 'A module\'s name, inputs and outputs, parsed from its source (e.g., mods://module/modules/read/svg.js)', mimeType: 'application/json' },
+  async (uri, { path }) => {
+    const info = await parseModule(decodeURIComponent(path), false);
+    if (info.error) throw new Error(info.error);
+    return jsonContents(uri, info);
+  }
+);
+
+mcpServer.resource('profile', 'mods://profile',
+  { description: 'User profile (~/.mops/profile.json): machines and preferences', mimeType: 'application/json' },
+  async (uri) => jsonContents(uri, await loadProfile())
+);
+
+mcpServer.resource('state', new ResourceTemplate('mods://state/{session}', {
+  list: async () => ({
+    resources: browser.listSessions().map(s => ({ uri: stateResourceUri(s.name), name: `${s.name} program state`, mimeType: 'application/json' }))
+  })
+}),
+  { description: 'Live program state of a browser session: loaded program and every module\'s parameters. Subscribe to be notified when it changes.' },
+  async (uri, { session }, extra) => {
+    const name = clientSession(decodeURIComponent(session), extra.sessionId);
+    if (!browser.isLaunched(name)) throw new Error(`Browser session "${name}" not launched`);
+    const { loadedProgram, lastInput } = sessionState(name);
+    const modules = loadedProgram ? await describeProgramState(await browser.getProgramState(name), name) : [];
+    return jsonContents(uri, { session: name, program: loadedProgram, input: lastInput ? lastInput.path : null, modules });
+  }
+);
+
+mcpServer.resource('exports', 'mods://exports',
+  { description: 'Export history, newest first. Subscribe to be notified of new exports.', mimeType: 'application/json' },
+  async (uri) => jsonContents(uri, await exportStore.listExports())
+);
+
+mcpServer.resource('latest-export', 'mods://export/latest',
+  { description: 'Content of the most recent export. Subscribe to be notified when a new one arrives.' },
+  async (uri) => exportContents(uri, await exportStore.readExport())
+);
+
+mcpServer.resource('export', new ResourceTemplate('mods://export/{id}', {
+  list: async () => ({
+    resources: (await exportStore.listExports(20)).filter(e => e.exists).map(e => ({
+      uri: `mods://export/${encodeURIComponent(e.id)}`, name: e.filename, mimeType: e.binary ? 'application/octet-stream' : 'text/plain'
+    }))
+  })
+}),
+  { description: 'Content of a saved export by ID or filename' },
+  async (uri, { id }) => {
+    const found = await exportStore.readExport(decodeURIComponent(id));
+    if (!found) throw new Error(`Export "${decodeURIComponent(id)}" not found`);
+    return exportContents(uri, found);
+  }
+);
+
+// --- Prompts ---
+// Guided workflows: program paths come from the manifest and the machine from the user profile
+for (const workflow of WORKFLOWS) {
+  const argsSchema = Object.fromEntries(workflow.args.map(a => [a.name, a.required ? z.string().describe(a.description) : z.string().optional().describe(a.description)]));
+  mcpServer.prompt(workflow.name, workflow.description, argsSchema, async (args) => {
+    const profile = await loadProfile();
+    const machine = findWorkflowMachine(workflow, profile.machines, args.machine);
+    let programs = [];
+    try {
+      programs = matchPrograms(workflow, [...await getProgramsManifest(), ...await programLibrary.listSavedPrograms()], machine, args.machine);
+    } catch (err) {
+      console.error(`[mops] Prompt ${workflow.name}: could not read programs: ${err.message}`);
+    }
+    return {
+      description: workflow.title,
+      messages: [{ role: 'user', content: { type: 'text', text: buildWorkflowPrompt(workflow, args, { machine, programs, materials: profile.materials || [] }) } }]
+    };
+  });
+}
+
 // --- Startup ---
 async function start() {
-  try {
-    await getModulesManifest();
-    console.error(`[mops] Connected to ${modsUrl} (${modulesManifest.length} modules)`);
-  } catch (err) {
-    console.error(`[mops] Error: Cannot reach mods at ${modsUrl}: ${err.message}`);
-    process.exit(1);
+  if (modsDir) {
+    try {
+      localServer = await startStaticServer(modsDir, localPort);
+      modsUrl = localServer.url;
+      console.error(`[mops] Serving local Mods CE from ${modsDir} at ${modsUrl}`);
+    } catch (err) {
+      console.error(`[mops] Error: Cannot serve local mods from ${modsDir}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Each manifest is loaded and reported on its own: one can come from the cache while the other is missing
+  for (const [type, load] of [['modules', getModulesManifest], ['programs', getProgramsManifest]]) {
+    let count;
+    try {
+      count = (await load()).length;
+    } catch (err) {
+      if (modsDir) {
+        console.error(`[mops] Error: Cannot read the ${type} manifest from ${modsDir}: ${err.message}`);
+        process.exit(1);
+      }
+      console.error(`[mops] Degraded mode: cannot reach ${modsUrl} and no cached ${type} manifest (${err.message}). Use refresh_catalog once it is back.`);
+      continue;
+    }
+    const { origin, error } = catalogStatus[type];
+    if (error) console.error(`[mops] Degraded mode: cannot reach ${modsUrl}, serving the cached ${type} manifest (${count} ${type}). Use refresh_catalog once it is back.`);
+    else if (origin === 'cache') console.error(`[mops] Using the cached ${type} manifest for ${modsUrl} (${count} ${type})`);
+    else console.error(`[mops] Connected to ${modsUrl} (${count} ${type})`);
   }
 
   console.error(`[mops] Browser will launch on demand (use launch_browser tool)`);
 
-  const transport = new StdioServerTransport();
-  await mcpServer.connect(transport);
+  if (httpPort !== null) {
+    if (!httpToken) {
+      httpToken = randomBytes(24).toString('base64url');
+      console.error(`[mops] No --token or MOPS_TOKEN given; generated bearer token: ${httpToken}`);
+    }
+    try {
+      httpServer = await startHttpServer({ port: httpPort, host: httpHost, token: httpToken, createMcpServer });
+    } catch (err) {
+      console.error(`[mops] Error: Cannot listen on ${httpHost}:${httpPort}: ${err.message}`);
+      process.exit(1);
+    }
+    console.error(`[mops] MCP server listening on ${httpServer.url} (Streamable HTTP, bearer token required)`);
+    return;
+  }
+
+  await createMcpServer().connect(new StdioServerTransport());
   console.error('[mops] MCP server running on stdio');
 }
 
 async function cleanup() {
   console.error('[mops] Shutting down...');
+  if (httpServer) await httpServer.close();
   await browser.close();
+  if (localServer) await localServer.close();
   process.exit(0);
 }
 
@@ -0,0 +1,400 @@
+// toolpath.js — Parse and analyze machine output (Roland RML, G-code, ShopBot, Epilog/HPGL)
+
+const MM_PER_INCH = 25.4;
+const DEFAULT_RAPID_RATE = 25; // mm/s, used when the file does not state a travel speed
+const ARC_STEP = Math.PI / 36; // 5° segments when flattening G2/G3 arcs
+
+// --- Format detection ---
+
+// The extension decides first: GX-24 CAMM files open with "PA;PA;" exactly like SRM-20 RML,
+// but count 40 units/mm with VS in cm/s (see docs/samples/gx24-square.camm)
+const EXTENSION_FORMATS = {
+  '.rml': 'rml', '.sbp': 'shopbot', '.nc': 'gcode', '.gcode': 'gcode', '.ngc': 'gcode',
+  '.camm': 'hpgl', '.plt': 'hpgl', '.hpgl': 'hpgl'
+};
+const PCL_ESCAPE = /\x1b%-12345X|\x1b&u\d+D|\x1bE/;
+
+export function detectFormat(text, filename = '') {
+  const byExtension = EXTENSION_FORMATS[(filename.toLowerCase().match(/\.\w+$/) || [])[0]];
+  if (byExtension) return byExtension === 'hpgl' && PCL_ESCAPE.test(text) ? 'epilog' : byExtension;
+  if (PCL_ESCAPE.test(text)) return 'epilog';
+  if (/^\s*(M2|M3|J2|J3|MS|JS|SA|JZ|MZ)\s*,/im.test(text)) return 'shopbot';
+  if (/!PZ|!MC|!VZ/.test(text)) return 'rml';
+  if (/^\s*(N\d+\s*)?G0?[0-3](?!\d)/im.test(text)) return 'gcode';
+  if (/(^|;)\s*(IN|PU|PD)/.test(text)) return 'hpgl';
+  return null;
+}
+
+// --- Move tracker shared by all parsers ---
+
+function createTracker() {
+  const pos = { x: 0, y: 0, z: 0 };
+  const moves = [];
+  return {
+    pos,
+    moves,
+    // Record a straight move to (x, y, z); cut moves are removing material, travel moves are not
+    move(x, y, z, cut, feed) {
+      const to = { x: x ?? pos.x, y: y ?? pos.y, z: z ?? pos.z };
+      if (to.x === pos.x && to.y === pos.y && to.z === pos.z) return;
+      moves.push({ from: { ...pos }, to, cut, feed: feed || null });
+      Object.assign(pos, to);
+    }
+  };
+}
+
+function nums(str) {
+  return (str.match(/[-+]?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(Number);
+}
+
+// --- Parsers ---
+// Each parser consumes one command at a time, so text can be fed in pieces as it arrives.
+// A parser is { separator, command(text), finish() → { assumptions, zSurface } } around a shared tracker.
+
+// Roland RML (SRM-20, MDX)
+function rmlParser(options, t) {
+  const scale = 1 / (options.unitsPerMm || 100);
+  let xyFeed = null, zFeed = null;
+  let zDown = 0, zUp = 0;
+  let relative = false;
+
+  return {
+    separator: /[;\n]/,
+    command(raw) {
+      const m = raw.trim().match(/^(!?[A-Z]+)\s*(.*)$/i);
+      if (!m) return;
+      const code = m[1].toUpperCase();
+      const values = nums(m[2]);
+      const at = (i, base) => (relative ? base + values[i] * scale : values[i] * scale);
+
+      if (code === 'PA') relative = false;
+      else if (code === 'PR') relative = true;
+      else if (code === 'VS' || code === 'V') { if (values.length) xyFeed = values[0]; }
+      else if (code === '!VZ') { if (values.length) zFeed = values[0]; }
+      else if (code === '!PZ') {
+        if (values.length > 0) zDown = values[0] * scale;
+        if (values.length > 1) zUp = values[1] * scale;
+      } else if (code === 'PU' || code === 'PD') {
+        const cut = code === 'PD';
+        const z = cut ? zDown : zUp;
+        if (t.pos.z !== z) t.move(t.pos.x, t.pos.y, z, cut, zFeed || xyFeed);
+        for (let i = 0; i + 1 < values.length; i += 2) t.move(at(i, t.pos.x), at(i + 1, t.pos.y), z, cut, xyFeed);
+      } else if (code === 'Z') {
+        for (let i = 0; i + 2 < values.length; i += 3) {
+          const z = at(i + 2, t.pos.z);
+          t.move(at(i, t.pos.x), at(i + 1, t.pos.y), z, z < zUp, xyFeed);
+        }
+      }
+    },
+    finish() {
+      const assumptions = [`RML units: ${options.unitsPerMm || 100} per mm`];
+      if (xyFeed === null) assumptions.push('No VS speed found; run time not estimated');
+      return { assumptions, zSurface: 0 };
+    }
+  };
+}
+
+// G-code (generic, Prusa, laser)
+function gcodeParser(options, t) {
+  let scale = options.units === 'in' ? MM_PER_INCH : 1;
+  let relative = false;
+  let motion = 0;
+  let feed = null;
+  const rapid = options.rapidRate || DEFAULT_RAPID_RATE;
+  let sawRapid = false;
+
+  return {
+    separator: /\n/,
+    command(raw) {
+      const line = raw.replace(/\(.*?\)/g, '').replace(/;.*$/, '').trim().toUpperCase();
+      if (!line) return;
+      const words = {};
+      const gCodes = [];
+      for (const w of line.matchAll(/([A-Z])\s*([-+]?\d*\.?\d+)/g)) {
+        if (w[1] === 'G') gCodes.push(Number(w[2]));
+        else words[w[1]] = Number(w[2]);
+      }
+      for (const g of gCodes) {
+        if (g === 20) scale = MM_PER_INCH;
+        else if (g === 21) scale = 1;
+        else if (g === 90) relative = false;
+        else if (g === 91) relative = true;
+        else if (g >= 0 && g <= 3 && Number.isInteger(g)) motion = g;
+      }
+      if (words.F !== undefined) feed = (words.F * scale) / 60;
+      if (gCodes.some(g => g === 28 || g === 92) || (words.X === undefined && words.Y === undefined && words.Z === undefined)) return;
+
+      const target = axis => {
+        if (words[axis] === undefined) return t.pos[axis.toLowerCase()];
+        return relative ? t.pos[axis.toLowerCase()] + words[axis] * scale : words[axis] * scale;
+      };
+      const x = target('X'), y = target('Y'), z = target('Z');
+
+      if (motion === 0) {
+        sawRapid = true;
+        t.move(x, y, z, false, rapid);
+        return;
+      }
+      if (motion === 1) {
+        t.move(x, y, z, true, feed);
+        return;
+      }
+      // Flatten arcs into short segments so length, bounds and previews stay accurate
+      const start = { ...t.pos };
+      let cx, cy;
+      if (words.I !== undefined || words.J !== undefined) {
+        cx = start.x + (words.I || 0) * scale;
+        cy = start.y + (words.J || 0) * scale;
+      } else if (words.R !== undefined) {
+        const r = words.R * scale;
+        const dx = x - start.x, dy = y - start.y;
+        const d = Math.hypot(dx, dy);
+        const h = Math.sqrt(Math.max(r * r - (d / 2) * (d / 2), 0));
+        const sign = (motion === 2) === (r > 0) ? -1 : 1;
+        cx = start.x + dx / 2 - sign * h * dy / d;
+        cy = start.y + dy / 2 + sign * h * dx / d;
+      } else {
+        t.move(x, y, z, true, feed);
+        return;
+      }
+      const radius = Math.hypot(start.x - cx, start.y - cy);
+      const a0 = Math.atan2(start.y - cy, start.x - cx);
+      let sweep = Math.atan2(y - cy, x - cx) - a0;
+      if (motion === 2 && sweep >= 0) sweep -= 2 * Math.PI;
+      if (motion === 3 && sweep <= 0) sweep += 2 * Math.PI;
+      const steps = Math.max(1, Math.ceil(Math.abs(sweep) / ARC_STEP));
+      for (let i = 1; i <= steps; i++) {
+        const a = a0 + sweep * (i / steps);
+        const last = i === steps;
+        t.move(last ? x : cx + radius * Math.cos(a), last ? y : cy + radius * Math.sin(a), start.z + (z - start.z) * (i / steps), true, feed);
+      }
+    },
+    finish() {
+      const assumptions = [];
+      if (sawRapid && !options.rapidRate) assumptions.push(`G0 rapids estimated at ${DEFAULT_RAPID_RATE} mm/s`);
+      if (feed === null) assumptions.push('No F feed rate found; cut time not estimated');
+      return { assumptions, zSurface: 0 };
+    }
+  };
+}
+
+// ShopBot (.sbp)
+function shopbotParser(options, t) {
+  const scale = options.units === 'mm' ? 1 : MM_PER_INCH;
+  const jogDefault = options.rapidRate || DEFAULT_RAPID_RATE;
+  let moveXY = null, moveZ = null, jogXY = null, jogZ = null;
+  let relative = false;
+
+  return {
+    separator: /\r?\n/,
+    command(raw) {
+      const line = raw.replace(/'.*$/, '').trim();
+      if (!line || line.startsWith('&')) return;
+      const [cmd, ...rest] = line.split(',').map(s => s.trim());
+      const code = cmd.toUpperCase();
+      const values = rest.map(v => (v === '' ? undefined : Number(v) * scale));
+      const at = (v, axis) => (v === undefined || Number.isNaN(v) ? undefined : relative ? t.pos[axis] + v : v);
+
+      if (code === 'SA') relative = false;
+      else if (code === 'SR') relative = true;
+      else if (code === 'MS') { if (values[0] !== undefined) moveXY = values[0]; if (values[1] !== undefined) moveZ = values[1]; }
+      else if (code === 'JS') { if (values[0] !== undefined) jogXY = values[0]; if (values[1] !== undefined) jogZ = values[1]; }
+      else if (/^[MJ][23XYZ]$/.test(code)) {
+        const cut = code[0] === 'M';
+        const axis = code[1];
+        let x, y, z;
+        if (axis === '2') [x, y] = [at(values[0], 'x'), at(values[1], 'y')];
+        else if (axis === '3') [x, y, z] = [at(values[0], 'x'), at(values[1], 'y'), at(values[2], 'z')];
+        else if (axis === 'X') x = at(values[0], 'x');
+        else if (axis === 'Y') y = at(values[0], 'y');
+        else z = at(values[0], 'z');
+        const zOnly = axis === 'Z';
+        const speed = cut ? (zOnly ? moveZ : moveXY) : (zOnly ? jogZ : jogXY);
+        t.move(x, y, z, cut, speed || (cut ? null : jogDefault));
+      }
+    },
+    finish() {
+      const assumptions = [`ShopBot units: ${options.units === 'mm' ? 'mm' : 'inches'}`];
+      if (moveXY === null) assumptions.push('No MS speed found; cut time not estimated');
+      if (jogXY === null) assumptions.push(`Jogs estimated at ${jogDefault} mm/s`);
+      return { assumptions, zSurface: 0 };
+    }
+  };
+}
+
+// Epilog (PCL + HPGL) and plain HPGL (vinyl cutters)
+function hpglParser(options, t, epilog) {
+  let unitsPerMm = options.unitsPerMm || 40;
+  let feed = null;
+  let penDown = false;
+  let relative = false;
+
+  function hpglCommand(cmd) {
+    const m = cmd.trim().match(/^([A-Z]{2})\s*(.*)$/i);
+    if (!m) return;
+    const code = m[1].toUpperCase();
+    const values = nums(m[2]);
+    const scale = 1 / unitsPerMm;
+    if (code === 'PA') relative = false;
+    else if (code === 'PR') relative = true;
+    else if (code === 'VS' && values.length && !epilog) feed = values[0] * 10; // HPGL VS is cm/s
+    if (code === 'PU') penDown = false;
+    if (code === 'PD') penDown = true;
+    if (code === 'PU' || code === 'PD' || code === 'PA' || code === 'PR') {
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        const x = relative ? t.pos.x + values[i] * scale : values[i] * scale;
+        const y = relative ? t.pos.y + values[i + 1] * scale : values[i + 1] * scale;
+        t.move(x, y, 0, penDown, penDown ? feed : feed || options.rapidRate || DEFAULT_RAPID_RATE);
+      }
+    }
+  }
+
+  return {
+    separator: /[;\n]/,
+    command(raw) {
+      // PCL sets the coordinate resolution (dots per inch); strip escapes so only HPGL remains
+      const resolution = raw.match(/\x1b&u(\d+)D/);
+      if (resolution && !options.unitsPerMm) unitsPerMm = Number(resolution[1]) / MM_PER_INCH;
+      for (const cmd of raw.replace(/\x1b(E|[%&*][^A-Z@]*[A-Z@])/g, ';').split(';')) hpglCommand(cmd);
+    },
+    finish() {
+      const assumptions = [`Plotter units: ${+unitsPerMm.toFixed(3)} per mm`];
+      if (epilog) assumptions.push('Epilog speeds are percentages of machine maximum; run time not estimated');
+      else if (feed === null) assumptions.push('No VS speed found; run time not estimated');
+      return { assumptions, zSurface: null };
+    }
+  };
+}
+
+const PARSERS = {
+  rml: rmlParser,
+  gcode: gcodeParser,
+  shopbot: shopbotParser,
+  epilog: (options, t) => hpglParser(options, t, true),
+  hpgl: (options, t) => hpglParser(options, t, false)
+};
+
+// Incremental parser: feed() text as it arrives and get back the moves completed by it
+export function createToolpathParser(format, options = {}) {
+  if (!PARSERS[format]) throw new Error(`Unsupported toolpath format: ${format}`);
+  const t = createTracker();
+  const parser = PARSERS[format](options, t);
+  let pending = '';
+  let consumed = 0;
+
+  const drain = () => {
+    const added = t.moves.slice(consumed);
+    consumed = t.moves.length;
+    return added;
+  };
+  return {
+    format,
+    moves: t.moves,
+    feed(text) {
+      const parts = (pending + text).split(parser.separator);
+      pending = parts.pop();
+      for (const part of parts) parser.command(part);
+      return drain();
+    },
+    end() {
+      if (pending) parser.command(pending);
+      pending = '';
+      const added = drain();
+      return { added, ...parser.finish() };
+    }
+  };
+}
+
+export function parseToolpath(text, options = {}) {
+  const format = options.format && options.format !== 'auto' ? options.format : detectFormat(text, options.filename);
+  if (!format) throw new Error('Unrecognized toolpath format. Pass format explicitly (rml, gcode, shopbot, epilog, hpgl).');
+  const parser = createToolpathParser(format, options);
+  parser.feed(text);
+  const { assumptions, zSurface } = parser.end();
+  return { format, moves: parser.moves, assumptions, zSurface };
+}
+
+// --- Analysis ---
+
+function round(n, digits = 3) {
+  return n === null || n === undefined || !Number.isFinite(n) ? null : +n.toFixed(digits);
+}
+
+function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60);
+  return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m ${String(s % 60).padStart(2, '0')}s` : `${m}m ${String(s % 60).padStart(2, '0')}s`;
+}
+
+function bounds(points) {
+  if (points.length === 0) return null;
+  const b = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (const p of points) {
+    b.minX = Math.min(b.minX, p.x); b.maxX = Math.max(b.maxX, p.x);
+    b.minY = Math.min(b.minY, p.y); b.maxY = Math.max(b.maxY, p.y);
+  }
+  return {
+    min: { x: round(b.minX), y: round(b.minY) },
+    max: { x: round(b.maxX), y: round(b.maxY) },
+    width: round(b.maxX - b.minX),
+    height: round(b.maxY - b.minY)
+  };
+}
+
+export function analyzeToolpath(text, options = {}) {
+  const { format, moves, assumptions, zSurface } = parseToolpath(text, options);
+  const cutMoves = moves.filter(m => m.cut);
+  const cutPoints = cutMoves.flatMap(m => [m.from, m.to]);
+
+  let cutDistance = 0, travelDistance = 0, seconds = 0, timed = true, plunges = 0;
+  let zMin = Infinity, zMax = -Infinity;
+  const feeds = new Set();
+  for (let i = 0; i < moves.length; i++) {
+    const m = moves[i];
+    const len = Math.hypot(m.to.x - m.from.x, m.to.y - m.from.y, m.to.z - m.from.z);
+    if (m.cut) cutDistance += len; else travelDistance += len;
+    if (m.feed) seconds += len / m.feed; else if (len > 0) timed = false;
+    if (m.cut && m.feed) feeds.add(round(m.feed, 2));
+    zMin = Math.min(zMin, m.from.z, m.to.z);
+    zMax = Math.max(zMax, m.from.z, m.to.z);
+    // A plunge enters material: a descending move that ends below the surface, or a pen-down in 2D formats
+    const descends = m.to.z < m.from.z && m.to.z < 0 && (m.from.z >= 0 || (m.to.x === m.from.x && m.to.y === m.from.y));
+    if (zSurface === null ? m.cut && !(i > 0 && moves[i - 1].cut) : descends) plunges++;
+  }
+
+  const cutZ = cutMoves.flatMap(m => [m.from.z, m.to.z]);
+  const result = {
+    format,
+    units: 'mm',
+    moveCount: { cut: cutMoves.length, travel: moves.length - cutMoves.length },
+    boundingBox: bounds(cutPoints),
+    travelBoundingBox: bounds(moves.flatMap(m => [m.from, m.to])),
+    z: zSurface === null ? null : {
+      min: round(zMin), max: round(zMax),
+      maxCutDepth: round(Math.max(0, -cutZ.reduce((min, z) => Math.min(min, z), 0)))
+    },
+    distance: { cut: round(cutDistance, 1), travel: round(travelDistance, 1) },
+    plunges,
+    feedRates: [...feeds].sort((a, b) => a - b).map(f => `${f} mm/s`),
+    estimatedTime: timed && moves.length > 0 ? { seconds: Math.round(seconds), formatted: formatDuration(seconds) } : null,
+    assumptions
+  };
+
+  if (options.stock) result.stockCheck = checkStock(result, options.stock);
+  return result;
+}
+
+// Compare the cut envelope against a stock size (mm), assuming the stock origin is at (0, 0)
+export function checkStock(analysis, stock) {
+  const problems = [];
+  const box = analysis.boundingBox;
+  if (box) {
+    if (box.min.x < 0 || box.min.y < 0) problems.push(`Cuts extend to negative coordinates (${box.min.x}, ${box.min.y})`);
+    if (stock.width !== undefined && box.max.x > stock.width) problems.push(`Cut X extent ${box.max.x} mm exceeds stock width ${stock.width} mm`);
+    if (stock.height !== undefined && box.max.y > stock.height) problems.push(`Cut Y extent ${box.max.y} mm exceeds stock height ${stock.height} mm`);
+  }
+  if (stock.thickness !== undefined && analysis.z && analysis.z.maxCutDepth > stock.thickness) {
+    problems.push(`Cut depth ${analysis.z.maxCutDepth} mm exceeds stock thickness ${stock.thickness} mm`);
+  }
+  return { fits: problems.length === 0, problems };
+}
@@ -0,0 +1,91 @@
+// wiring.js — Link validation and layered layout for generated programs
+
+const COLUMN_WIDTH = 300;
+const ROW_HEIGHT = 260;
+const ORIGIN = { left: 100, top: 100 };
+
+// Ports without a declared type accept anything
+const WILDCARD_TYPES = ['', 'any', '*'];
+
+// Split "module name.port" at the last dot, so module names may contain dots ("mill raster 2.5D.toolpath")
+export function splitEndpoint(endpoint) {
+  const dot = endpoint.lastIndexOf('.');
+  if (dot <= 0 || dot === endpoint.length - 1) throw new Error(`Invalid link endpoint "${endpoint}". Use "module.port".`);
+  return { module: endpoint.slice(0, dot), port: endpoint.slice(dot + 1) };
+}
+
+function normalizeType(type) {
+  return (type || '').trim().toLowerCase();
+}
+
+export function typesCompatible(outputType, inputType) {
+  const a = normalizeType(outputType), b = normalizeType(inputType);
+  return WILDCARD_TYPES.includes(a) || WILDCARD_TYPES.includes(b) || a === b;
+}
+
+function describePorts(ports) {
+  const entries = Object.entries(ports || {});
+  if (entries.length === 0) return 'none';
+  return entries.map(([name, p]) => p.type ? `${name} (${p.type})` : name).join(', ');
+}
+
+// Check one link between two parsed modules ({ label, info: parseModule result }); returns error messages
+export function checkLink(from, fromPort, to, toPort) {
+  const errors = [];
+  const output = from.info.outputs ? from.info.outputs[fromPort] : undefined;
+  const input = to.info.inputs ? to.info.inputs[toPort] : undefined;
+  if (!output) errors.push(`"${from.label}" has no output "${fromPort}". Outputs: ${describePorts(from.info.outputs)}`);
+  if (!input) errors.push(`"${to.label}" has no input "${toPort}". Inputs: ${describePorts(to.info.inputs)}`);
+  if (output && input && !typesCompatible(output.type, input.type)) {
+    errors.push(`"${from.label}" ${fromPort} output (${output.type}) cannot feed "${to.label}" ${toPort} input (${input.type})`);
+  }
+  return errors;
+}
+
+// Longest-path layering: every module sits one column right of its furthest upstream module.
+// Back edges found by DFS are ignored so feedback loops do not push columns out forever.
+// Within a column, modules are ordered by the average row of their upstream modules to limit crossings.
+export function layeredLayout(nodes, edges) {
+  const incoming = new Map(nodes.map(n => [n, []]));
+  const state = new Map();
+  const forward = [];
+  const visit = (n) => {
+    state.set(n, 'active');
+    for (const e of edges.filter(e => e.from === n)) {
+      if (state.get(e.to) === 'active') continue; // back edge
+      forward.push(e);
+      if (!state.has(e.to)) visit(e.to);
+    }
+    state.set(n, 'done');
+  };
+  for (const n of nodes) if (!state.has(n)) visit(n);
+  for (const e of forward) incoming.get(e.to).push(e.from);
+
+  const layer = new Map();
+  const depth = (n) => {
+    if (layer.has(n)) return layer.get(n);
+    layer.set(n, 0);
+    const d = incoming.get(n).reduce((max, p) => Math.max(max, depth(p) + 1), 0);
+    layer.set(n, d);
+    return d;
+  };
+  nodes.forEach(depth);
+
+  const columns = [];
+  for (const n of nodes) (columns[layer.get(n)] ||= []).push(n);
+  const row = new Map();
+  const positions = {};
+  columns.forEach((column, c) => {
+    const keyed = column.map((n, i) => {
+      const parents = incoming.get(n).filter(p => row.has(p));
+      const key = parents.length > 0 ? parents.reduce((sum, p) => sum + row.get(p), 0) / parents.length : i;
+      return { n, key, i };
+    });
+    keyed.sort((a, b) => a.key - b.key || a.i - b.i);
+    keyed.forEach(({ n }, r) => {
+      row.set(n, r);
+      positions[n] = { left: ORIGIN.left + c * COLUMN_WIDTH, top: ORIGIN.top + r * ROW_HEIGHT };
+    });
+  });
+  return positions;
+}